@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+'use strict';
+
+// Writes TypeScript interfaces for the SchemaObject factories exported by a module.
+// Usage: schemaobject-dts <module> [--out <file>]
+
+const fs = require('fs');
+const path = require('path');
+const SchemaObject = require('../dist/schemaobject');
+
+const args = process.argv.slice(2);
+let modulePath;
+let outPath;
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out' || args[i] === '-o') {
+        outPath = args[++i];
+    } else if (!modulePath) {
+        modulePath = args[i];
+    }
+}
+
+if (!modulePath) {
+    console.error('Usage: schemaobject-dts <module> [--out <file>]');
+    process.exit(1);
+}
+
+const exported = require(path.resolve(modulePath));
+let factories = exported;
+
+// A module exporting a single factory is named after its file: models/user-account.js -> UserAccount.
+const single = typeof exported === 'function' ? exported : exported && exported.default;
+if (typeof single === 'function') {
+    const name = path.basename(modulePath, path.extname(modulePath))
+        .replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (match, separator, letter) => letter.toUpperCase());
+    factories = {
+        [name]: single
+    };
+}
+
+const declarations = SchemaObject.generateTypeScript(factories);
+
+if (outPath) {
+    fs.writeFileSync(outPath, declarations);
+} else {
+    process.stdout.write(declarations);
+}
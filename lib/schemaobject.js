@@ -168,6 +168,89 @@
         }
     }
 
+    class BigIntCastError extends CastError {
+        constructor(sourceType, setValue, originalValue, fieldSchema) {
+            let errorMessage = 'BigInt could not be typecast from the provided ' + sourceType;
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1106;
+        }
+    }
+
+    class DecimalCastError extends CastError {
+        constructor(sourceType, setValue, originalValue, fieldSchema) {
+            let errorMessage = 'Decimal could not be typecast from the provided ' + sourceType;
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1107;
+        }
+    }
+
+    class CustomTypeCastError extends CastError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || `Value could not be typecast to ${fieldSchema.type}.`;
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1108;
+        }
+    }
+
+    class UnionCastError extends CastError {
+        constructor(branchErrors, setValue, originalValue, fieldSchema) {
+            let errorMessage = 'Value did not match any type of oneOf: ' +
+                _.map(branchErrors, (error, i) => `[${i}] ${error.errorMessage || error.message}`).join(' ');
+            super(errorMessage, setValue, originalValue, fieldSchema);
+            this.branchErrors = branchErrors;
+        }
+        static errorCode() {
+            return 1109;
+        }
+    }
+
+    class DiscriminatorCastError extends CastError {
+        constructor(setValue, originalValue, fieldSchema) {
+            let errorMessage = `Object type could not be selected from discriminator "${fieldSchema.discriminator}", ` +
+                `expected one of: ${_.keys(fieldSchema.mapping).join(', ')}.`;
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1110;
+        }
+    }
+
+    class SetCastError extends CastError {
+        constructor(setValue, originalValue, fieldSchema) {
+            let errorMessage = 'Set type cannot typecast non-Set or non-Array types.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1111;
+        }
+    }
+
+    class MapCastError extends CastError {
+        constructor(setValue, originalValue, fieldSchema) {
+            let errorMessage = 'Map type cannot typecast non-Map or non-Object types.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1112;
+        }
+    }
+
+    class BufferCastError extends CastError {
+        constructor(sourceType, setValue, originalValue, fieldSchema) {
+            let errorMessage = 'Buffer could not be typecast from the provided ' + sourceType;
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1113;
+        }
+    }
+
     // Validation error base
     // Thrown when a value does not meet the validation criteria set by the schema
     // Code 12xx
@@ -181,6 +264,36 @@
         }
     }
 
+    class AsyncValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Value failed asynchronous validation.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1201;
+        }
+    }
+
+    class CustomValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Value failed custom validation.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1202;
+        }
+    }
+
+    class RuleValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Object failed validation rule.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1203;
+        }
+    }
+
     /**
      * String Validation Errors
      * Codes 121x
@@ -235,6 +348,16 @@
         }
     }
 
+    class StringFormatValidationError extends StringValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'String does not match format.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1215;
+        }
+    }
+
     /**
      * Number Validation Errors
      * Codes 122x
@@ -269,6 +392,56 @@
         }
     }
 
+    class NumberIntegerValidationError extends NumberValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Number must be an integer.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1223;
+        }
+    }
+
+    class NumberMultipleOfValidationError extends NumberValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Number is not a multiple of multipleOf requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1224;
+        }
+    }
+
+    class NumberPrecisionValidationError extends NumberValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Number has too many decimal places to meet precision requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1225;
+        }
+    }
+
+    class NumberPositiveValidationError extends NumberValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Number must be positive.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1226;
+        }
+    }
+
+    class NumberNonNegativeValidationError extends NumberValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Number must not be negative.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1227;
+        }
+    }
+
     /**
      * Date Validation Errors
      * Codes 123x
@@ -293,120 +466,362 @@
         }
     }
 
+    class DateMinValidationError extends DateValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Date is too early to meet min requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1232;
+        }
+    }
 
-    // Returns typecasted value if possible. If rejected, originalValue is returned.
-    function typecast(value, originalValue, properties) {
-        const options = this[_privateKey]._options;
+    class DateMaxValidationError extends DateValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Date is too late to meet max requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1233;
+        }
+    }
 
-        // Allow transform to manipulate raw properties.
-        if (properties.transform) {
-            value = properties.transform.call(this[_privateKey]._root, value, originalValue, properties);
+    /**
+     * BigInt Validation Errors
+     * Codes 124x
+     */
+
+    class BigIntValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1240;
         }
+    }
 
-        // Allow null to be preserved.
-        if (value === null && options.preserveNull) {
-            return null;
+    class BigIntMinValidationError extends BigIntValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'BigInt is too small to meet min requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
         }
+        static errorCode() {
+            return 1241;
+        }
+    }
 
-        // Helper function designed to detect and handle usage of array-form custom error messages for validators
-        function detectCustomErrorMessage(key) {
-            if (typeof properties[key] === 'object' && properties[key].errorMessage && properties[key].value) {
-                return properties[key];
-            }
-            else  if (_.isArray(properties[key])) {
-                return {
-                    value: properties[key][0],
-                    errorMessage: properties[key][1]
-                };
-            }
-            else {
-                return {
-                    value: properties[key],
-                    errorMessage: undefined
-                };
-            }
+    class BigIntMaxValidationError extends BigIntValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'BigInt is too large to meet max requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
         }
+        static errorCode() {
+            return 1242;
+        }
+    }
 
-        // Property types are always normalized as lowercase strings despite shorthand definitions being available.
-        switch (properties.type) {
-            case 'string':
-                // Reject if object or array.
-                if (_.isObject(value) || _.isArray(value)) {
-                    throw new StringCastError(value, originalValue, properties);
-                }
+    /**
+     * Decimal Validation Errors
+     * Codes 125x
+     */
 
-                // If index is being set with null or undefined, set value and end.
-                if (value === undefined || value === null) {
-                    return undefined;
-                }
+    class DecimalValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1250;
+        }
+    }
 
-                // Typecast to String.
-                value = value + '';
+    class DecimalPrecisionValidationError extends DecimalValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Decimal has too many digits to meet precision requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1251;
+        }
+    }
 
-                // If stringTransform function is defined, use.
-                // This is used before we do validation checks (except to be sure we have a string at all).
-                if (properties.stringTransform) {
-                    value = properties.stringTransform.call(this[_privateKey]._root, value, originalValue, properties);
-                }
+    class DecimalScaleValidationError extends DecimalValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Decimal has too many decimal places to meet scale requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1252;
+        }
+    }
 
-                // If clip property & maxLength properties are set, the string should be clipped.
-                // This is basically a shortcut property that could be done with stringTransform.
-                if (properties.clip !== undefined && properties.maxLength !== undefined) {
-                    value = value.substr(0, properties.maxLength);
-                }
+    /**
+     * Array Validation Errors
+     * Codes 126x
+     */
 
-                let enumValidation;
+    class ArrayValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1260;
+        }
+    }
 
-                // Detect custom error message usage for enum (can't use function here as enum is expected to be an array)
-                if (typeof properties.enum === 'object' && properties.enum.errorMessage && properties.enum.value) {
-                    enumValidation = properties.enum;
-                }
-                else if (_.isArray(properties.enum) && _.isArray(properties.enum[0])) {
-                    enumValidation = {
-                        value: properties.enum[0],
-                        errorMessage: properties.enum[1]
-                    };
-                }
-                else {
-                    enumValidation = {
-                        value: properties.enum,
-                        errorMessage: undefined
-                    };
-                }
+    class ArrayLengthValidationError extends ArrayValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Array length does not meet tuple requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1261;
+        }
+    }
 
-                // If enum is being used, be sure the value is within definition.
-                if (
-                    enumValidation.value !== undefined &&
-                    _.isArray(enumValidation.value) &&
-                    enumValidation.value.indexOf(value) === -1
-                ) {
-                    throw new StringEnumValidationError(enumValidation.errorMessage, value, originalValue, properties);
-                }
+    /**
+     * Map Validation Errors
+     * Codes 127x
+     */
 
-                // Detect custom error message usage for minLength
-                let minLength = detectCustomErrorMessage('minLength');
+    class MapValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1270;
+        }
+    }
 
-                // If minLength is defined, check to be sure the string is > minLength.
-                if (minLength.value !== undefined && value.length < minLength.value) {
-                    throw new StringMinLengthValidationError(minLength.errorMessage, value, originalValue, properties);
-                }
+    class MapKeyValidationError extends MapValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema, keyError) {
+            errorMessage = errorMessage || `Key "${setValue}" does not meet key requirements.`;
+            super(errorMessage, setValue, originalValue, fieldSchema);
+            this.keyError = keyError;
+        }
+        static errorCode() {
+            return 1271;
+        }
+    }
 
-                // Detect custom error message usage for maxLength
-                let maxLength = detectCustomErrorMessage('maxLength');
+    /**
+     * Buffer Validation Errors
+     * Codes 128x
+     */
 
-                // If maxLength is defined, check to be sure the string is < maxLength.
-                if (maxLength.value !== undefined && value.length > maxLength.value) {
+    class BufferValidationError extends ValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1280;
+        }
+    }
+
+    class BufferMinLengthValidationError extends BufferValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Buffer length too short to meet minLength requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1281;
+        }
+    }
+
+    class BufferMaxLengthValidationError extends BufferValidationError {
+        constructor(errorMessage, setValue, originalValue, fieldSchema) {
+            errorMessage = errorMessage || 'Buffer length too long to meet maxLength requirement.';
+            super(errorMessage, setValue, originalValue, fieldSchema);
+        }
+        static errorCode() {
+            return 1282;
+        }
+    }
+
+
+    // Helper function designed to detect and handle usage of array-form custom error messages for validators
+    function detectCustomErrorMessage(properties, key) {
+        if (typeof properties[key] === 'object' && properties[key].errorMessage && properties[key].value) {
+            return properties[key];
+        }
+        else  if (_.isArray(properties[key])) {
+            return {
+                value: properties[key][0],
+                errorMessage: properties[key][1]
+            };
+        }
+        else {
+            return {
+                value: properties[key],
+                errorMessage: undefined
+            };
+        }
+    }
+
+    // Detect custom error message usage for enum (can't use detectCustomErrorMessage here as enum is expected to be an array)
+    function detectEnumValidation(properties) {
+        if (typeof properties.enum === 'object' && properties.enum.errorMessage && properties.enum.value) {
+            return properties.enum;
+        }
+        else if (_.isArray(properties.enum) && _.isArray(properties.enum[0])) {
+            return {
+                value: properties.enum[0],
+                errorMessage: properties.enum[1]
+            };
+        }
+        else {
+            return {
+                value: properties.enum,
+                errorMessage: undefined
+            };
+        }
+    }
+
+    // Returns typecasted value if possible. If rejected, originalValue is returned.
+    function typecast(value, originalValue, properties) {
+        value = typecastType.call(this, value, originalValue, properties);
+
+        // Custom validators run after type-specific validation.
+        customValidate.call(this, value, originalValue, properties);
+
+        return value;
+    }
+
+    // Runs custom validators on values that are set.
+    // Validators return false or an error message to reject the value.
+    function customValidate(value, originalValue, properties) {
+        if (!properties.validate || value === undefined || value === null) {
+            return;
+        }
+
+        const validators = _.isArray(properties.validate) ? properties.validate : [properties.validate];
+        for (const validator of validators) {
+            let result;
+            try {
+                result = validator.call(this[_privateKey]._root, value, originalValue, properties);
+            }
+            catch (error) {
+                throw error instanceof SetterError ? error : new CustomValidationError(error.message, value, originalValue, properties);
+            }
+            if (result === false || _.isString(result)) {
+                throw new CustomValidationError(_.isString(result) ? result : undefined, value, originalValue, properties);
+            }
+        }
+    }
+
+    // Nullable fields keep null, the preserveNull option applies to fields that don't set nullable.
+    function isNullable(properties, options) {
+        return properties.nullable !== undefined ? !!properties.nullable : !!options.preserveNull;
+    }
+
+    // Typecast value to the field type and run type-specific validation.
+    function typecastType(value, originalValue, properties) {
+        // Use typecast generated for this field when compiled.
+        if (properties[_privateKey] && properties[_privateKey]._typecast) {
+            return properties[_privateKey]._typecast.call(this, value, originalValue, properties);
+        }
+
+        const options = this[_privateKey]._options;
+
+        // Allow transform to manipulate raw properties.
+        if (properties.transform) {
+            value = properties.transform.call(this[_privateKey]._root, value, originalValue, properties);
+        }
+
+        // Allow null to be preserved.
+        if (value === null && isNullable(properties, options)) {
+            return null;
+        }
+
+        // Property types are always normalized as lowercase strings despite shorthand definitions being available.
+        switch (properties.type) {
+            case 'string':
+                // Reject if object or array.
+                if (_.isObject(value) || _.isArray(value)) {
+                    throw new StringCastError(value, originalValue, properties);
+                }
+
+                // If index is being set with null or undefined, set value and end.
+                if (value === undefined || value === null) {
+                    return undefined;
+                }
+
+                // Typecast to String.
+                value = value + '';
+
+                // Declarative normalization happens before stringTransform, clip and validation.
+                if (properties.normalize) {
+                    value = value.normalize(properties.normalize);
+                }
+                if (properties.collapseWhitespace) {
+                    value = value.replace(/\s+/g, ' ');
+                }
+                if (properties.trim) {
+                    value = value.trim();
+                }
+                if (properties.lowercase) {
+                    value = value.toLowerCase();
+                }
+                if (properties.uppercase) {
+                    value = value.toUpperCase();
+                }
+
+                // If stringTransform function is defined, use.
+                // This is used before we do validation checks (except to be sure we have a string at all).
+                if (properties.stringTransform) {
+                    value = properties.stringTransform.call(this[_privateKey]._root, value, originalValue, properties);
+                }
+
+                // If clip property & maxLength properties are set, the string should be clipped.
+                // This is basically a shortcut property that could be done with stringTransform.
+                if (properties.clip !== undefined && properties.maxLength !== undefined) {
+                    value = value.substr(0, properties.maxLength);
+                }
+
+                // Detect custom error message usage for enum
+                let enumValidation = detectEnumValidation(properties);
+
+                // If enum is being used, be sure the value is within definition.
+                if (
+                    enumValidation.value !== undefined &&
+                    _.isArray(enumValidation.value) &&
+                    enumValidation.value.indexOf(value) === -1
+                ) {
+                    throw new StringEnumValidationError(enumValidation.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for minLength
+                let minLength = detectCustomErrorMessage(properties, 'minLength');
+
+                // If minLength is defined, check to be sure the string is > minLength.
+                if (minLength.value !== undefined && value.length < minLength.value) {
+                    throw new StringMinLengthValidationError(minLength.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for maxLength
+                let maxLength = detectCustomErrorMessage(properties, 'maxLength');
+
+                // If maxLength is defined, check to be sure the string is < maxLength.
+                if (maxLength.value !== undefined && value.length > maxLength.value) {
                     throw new StringMaxLengthValidationError(maxLength.errorMessage, value, originalValue, properties);
                 }
 
                 // Detect custom error message usage for maxLength
-                let regex = detectCustomErrorMessage('regex');
+                let regex = detectCustomErrorMessage(properties, 'regex');
 
                 // If regex is defined, check to be sure the string matches the regex pattern.
                 if (regex.value && !regex.value.test(value)) {
                     throw new StringRegexValidationError(regex.errorMessage, value, originalValue, properties);
                 }
 
+                // Detect custom error message usage for format
+                let stringFormat = detectCustomErrorMessage(properties, 'format');
+
+                // If format is defined, check to be sure the string is valid for the registered format.
+                if (stringFormat.value !== undefined && !testStringFormat(stringFormat.value, value)) {
+                    throw new StringFormatValidationError(stringFormat.errorMessage || `String does not match format "${stringFormat.value}".`,
+                        value, originalValue, properties);
+                }
+
                 return value;
 
             case 'number':
@@ -421,8 +836,13 @@
                 }
 
                 // Remove/convert number group separators
+                const locale = properties.locale !== undefined ? properties.locale : options.locale;
                 if (typeof value === 'string') {
-                    if (options.useDecimalNumberGroupSeparator) {
+                    if (locale !== undefined) {
+                        // Parse with the separators, currency and percent sign of the locale
+                        value = parseLocaleNumber(value, locale);
+                    }
+                    else if (options.useDecimalNumberGroupSeparator) {
                         // Remove decimals
                         value = value.replace(/\./g, '');
                         // Replace commas with decimals for js parsing
@@ -458,22 +878,191 @@
                     value = properties.numberTransform.call(this[_privateKey]._root, value, originalValue, properties);
                 }
 
+                // Detect custom error message usage for precision
+                let precision = detectCustomErrorMessage(properties, 'precision');
+
+                // If round is defined, round to precision instead of rejecting, before validation.
+                if (precision.value !== undefined && properties.round) {
+                    value = roundNumber(value, precision.value, properties.round);
+                }
+
                 // Detect custom error message usage for min
-                let min = detectCustomErrorMessage('min');
+                let min = detectCustomErrorMessage(properties, 'min');
 
                 if (min.value !== undefined && value < min.value) {
                     throw new NumberMinValidationError(min.errorMessage, value, originalValue, properties);
                 }
 
                 // Detect custom error message usage for min
-                let max = detectCustomErrorMessage('max');
+                let max = detectCustomErrorMessage(properties, 'max');
 
                 if (max.value !== undefined && value > max.value) {
                     throw new NumberMaxValidationError(max.errorMessage, value, originalValue, properties);
                 }
 
+                // Detect custom error message usage for integer
+                let integer = detectCustomErrorMessage(properties, 'integer');
+
+                if (integer.value && !Number.isInteger(value)) {
+                    throw new NumberIntegerValidationError(integer.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for multipleOf
+                let multipleOf = detectCustomErrorMessage(properties, 'multipleOf');
+
+                if (multipleOf.value !== undefined && !isMultipleOf(value, multipleOf.value)) {
+                    throw new NumberMultipleOfValidationError(multipleOf.errorMessage, value, originalValue, properties);
+                }
+
+                // If precision is defined, check to be sure the number doesn't have more decimal places.
+                if (precision.value !== undefined && countDecimals(value) > precision.value) {
+                    throw new NumberPrecisionValidationError(precision.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for positive
+                let positive = detectCustomErrorMessage(properties, 'positive');
+
+                if (positive.value && !(value > 0)) {
+                    throw new NumberPositiveValidationError(positive.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for nonNegative
+                let nonNegative = detectCustomErrorMessage(properties, 'nonNegative');
+
+                if (nonNegative.value && !(value >= 0)) {
+                    throw new NumberNonNegativeValidationError(nonNegative.errorMessage, value, originalValue, properties);
+                }
+
+                return value;
+
+            case 'bigint':
+                // If index is being set with null, undefined, or empty string: clear value.
+                if (value === undefined || value === null || value === '') {
+                    return undefined;
+                }
+
+                // Set values for boolean.
+                if (_.isBoolean(value)) {
+                    value = value ? 1 : 0;
+                }
+
+                // Only integers can be cast, numbers are cast as they are and strings without losing precision.
+                if (typeof value !== 'bigint') {
+                    if (_.isArray(value)) {
+                        throw new BigIntCastError('Array', value, originalValue, properties);
+                    }
+                    else if (_.isObject(value)) {
+                        throw new BigIntCastError('Object', value, originalValue, properties);
+                    }
+                    else if (_.isString(value) && !/^\s*[+-]?\d+\s*$/.test(value)) {
+                        throw new BigIntCastError('String', value, originalValue, properties);
+                    }
+                    else if (!_.isString(value) && !Number.isInteger(value)) {
+                        throw new BigIntCastError('Non-integer', value, originalValue, properties);
+                    }
+
+                    // Numbers past the safe range have already lost precision, they must be passed as strings or BigInt.
+                    else if (!_.isString(value) && !Number.isSafeInteger(value)) {
+                        throw new BigIntCastError('Unsafe integer', value, originalValue, properties);
+                    }
+
+                    value = BigInt(_.isString(value) ? value.trim() : value);
+                }
+
+                // Detect custom error message usage for min
+                let bigIntMin = detectCustomErrorMessage(properties, 'min');
+
+                if (bigIntMin.value !== undefined && value < BigInt(bigIntMin.value)) {
+                    throw new BigIntMinValidationError(bigIntMin.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for max
+                let bigIntMax = detectCustomErrorMessage(properties, 'max');
+
+                if (bigIntMax.value !== undefined && value > BigInt(bigIntMax.value)) {
+                    throw new BigIntMaxValidationError(bigIntMax.errorMessage, value, originalValue, properties);
+                }
+
                 return value;
 
+            case 'decimal':
+                // If index is being set with null, undefined, or empty string: clear value.
+                if (value === undefined || value === null || value === '') {
+                    return undefined;
+                }
+
+                // Decimals are kept as strings so digits are never lost to floating point.
+                if (_.isArray(value)) {
+                    throw new DecimalCastError('Array', value, originalValue, properties);
+                }
+                else if (_.isObject(value)) {
+                    throw new DecimalCastError('Object', value, originalValue, properties);
+                }
+                else if (!_.isString(value) && !_.isNumber(value) && typeof value !== 'bigint') {
+                    throw new DecimalCastError('Non-numeric', value, originalValue, properties);
+                }
+
+                const decimal = parseDecimal(value);
+                if (!decimal) {
+                    throw new DecimalCastError(_.isString(value) ? 'String' : 'Non-numeric', value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for scale
+                let scale = detectCustomErrorMessage(properties, 'scale');
+
+                if (scale.value !== undefined && decimal.fraction.length > scale.value) {
+                    throw new DecimalScaleValidationError(scale.errorMessage, value, originalValue, properties);
+                }
+
+                // Fraction is padded to scale, like SQL DECIMAL columns.
+                if (scale.value !== undefined) {
+                    decimal.fraction = _.padEnd(decimal.fraction, scale.value, '0');
+                }
+
+                // Detect custom error message usage for precision
+                let decimalPrecision = detectCustomErrorMessage(properties, 'precision');
+
+                if (decimalPrecision.value !== undefined &&
+                    decimal.integer.replace(/^0$/, '').length + decimal.fraction.length > decimalPrecision.value) {
+                    throw new DecimalPrecisionValidationError(decimalPrecision.errorMessage, value, originalValue, properties);
+                }
+
+                return `${decimal.sign}${decimal.integer}${decimal.fraction ? '.' + decimal.fraction : ''}`;
+
+            case 'buffer':
+                // If index is being set with null, undefined, or empty string: clear value.
+                if (value === undefined || value === null || value === '') {
+                    return undefined;
+                }
+
+                // Bytes are typecast from Buffers, typed arrays and encoded strings.
+                let bytes;
+                if (_.isString(value)) {
+                    bytes = decodeBytes(value, properties.encoding || 'base64');
+                } else if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+                    bytes = toBytes(value);
+                }
+                if (!bytes) {
+                    throw new BufferCastError(_.isArray(value) ? 'Array' : _.isObject(value) ? 'Object' : _.upperFirst(typeof value),
+                        value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for minLength
+                let bufferMinLength = detectCustomErrorMessage(properties, 'minLength');
+
+                if (bufferMinLength.value !== undefined && bytes.length < bufferMinLength.value) {
+                    throw new BufferMinLengthValidationError(bufferMinLength.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for maxLength
+                let bufferMaxLength = detectCustomErrorMessage(properties, 'maxLength');
+
+                if (bufferMaxLength.value !== undefined && bytes.length > bufferMaxLength.value) {
+                    throw new BufferMaxLengthValidationError(bufferMaxLength.errorMessage, value, originalValue, properties);
+                }
+
+                return bytes;
+
             case 'boolean':
                 // If index is being set with null, undefined, or empty string: clear value.
                 if (value === undefined || value === null || value === '') {
@@ -514,6 +1103,14 @@
                 // Arrays are never set directly.
                 // Instead, the values are copied over to the existing SchemaArray instance.
                 // The SchemaArray is initialized immediately and will always exist.
+                // Tuples can't be assigned fewer elements than required, empty arrays clear them.
+                checkTupleLength(value, value, originalValue, properties);
+
+                // Nullable arrays set to null are replaced with a new SchemaArray.
+                if (originalValue === null) {
+                    originalValue = new SchemaArray(this, properties);
+                }
+
                 originalValue.length = 0;
                 _.each(value, (arrayValue) => {
                     originalValue.push(arrayValue);
@@ -521,26 +1118,86 @@
 
                 return originalValue;
 
+            case 'set':
+                // Sets are typecast from Sets or Arrays.
+                if (!(value instanceof Set) && !_.isArray(value)) {
+                    throw new SetCastError(value, originalValue, properties);
+                }
+
+                // Like arrays, the values are copied over to the existing SchemaSet instance.
+                // Elements are typecast before the Set is cleared, so a rejected value leaves the Set unchanged.
+                const setErrors = [];
+                const elements = _.map(Array.from(value), (element, i) => {
+                    return typecastSetElement.call(this, element, properties, setErrors, i);
+                });
+                const set = originalValue || new SchemaSet(this, properties);
+                set.clear();
+                _.each(elements, (element) => {
+                    Set.prototype.add.call(set, element);
+                });
+
+                // Plain validation reports errors of sub-objects with the field, like Maps.
+                if (this[_privateKey]._plain) {
+                    this[_privateKey]._subErrors[properties.name] = setErrors;
+                }
+
+                return set;
+
+            case 'map':
+                // Maps are typecast from Maps or Objects.
+                if (!(value instanceof Map) && !_.isPlainObject(value)) {
+                    throw new MapCastError(value, originalValue, properties);
+                }
+
+                // Like arrays, the values are copied over to the existing SchemaMap instance.
+                // Entries are typecast before the Map is cleared, so a rejected value leaves the Map unchanged.
+                const subErrors = [];
+                const entries = _.map(recordEntries(value), (entry) => {
+                    return [entry[0], typecastRecordEntry.call(this, entry[0], entry[1], originalValue, properties, subErrors)];
+                });
+                const map = originalValue || new SchemaMap(this, properties);
+                map.clear();
+                _.each(entries, (entry) => {
+                    Map.prototype.set.call(map, entry[0], entry[1]);
+                });
+
+                // Plain validation reports errors of sub-objects with the field, like records.
+                if (this[_privateKey]._plain) {
+                    this[_privateKey]._subErrors[properties.name] = subErrors;
+                }
+
+                return map;
+
             case 'object':
                 // If it's not an Object, reject.
                 if (!_.isObject(value)) {
                     throw new ObjectCastError(value, originalValue, properties);
                 }
 
+                // Records typecast each value, the record is replaced with a new object.
+                if (properties.values || properties.keys) {
+                    return typecastRecord.call(this, value, originalValue, properties);
+                }
+
+                // Discriminated objects use the type mapped to the value of the discriminator.
+                const objectType = subObjectType(value, originalValue, properties);
+
                 // If object is schema object and an entirely new object was passed, clear values and set.
                 // This preserves the object instance.
-                if (properties.objectType) {
+                // Plain validation casts sub-schemas separately and never creates instances.
+                if (objectType && !this[_privateKey]._plain) {
                     // The object will usually exist because it's initialized immediately for deep access within SchemaObjects.
                     // However, in the case of Array elements, it will not exist.
+                    // Discriminated objects are never initialized, the type may change with each value.
                     let schemaObject;
-                    if (originalValue !== undefined) {
+                    if (originalValue !== undefined && originalValue !== null && !properties.discriminator) {
                         // Clear existing values.
                         schemaObject = originalValue;
                         schemaObject.clear();
                     } else {
                         // The SchemaObject doesn't exist yet. Let's initialize a new one.
                         // This is used for Array types.
-                        schemaObject = new properties.objectType({}, this[_privateKey]._root);
+                        schemaObject = new objectType({}, this[_privateKey]._root);
                     }
 
                     // Copy value to SchemaObject and set value to SchemaObject.
@@ -564,14 +1221,30 @@
                     throw new DateCastError(value, originalValue, properties);
                 }
 
-                // Attempt to parse string value with Date.parse (which returns number of milliseconds).
-                if (_.isString(value)) {
-                    value = Date.parse(value);
-                }
+                // Detect custom error message usage for format
+                let dateFormat = detectCustomErrorMessage(properties, 'format');
+
+                // If format is defined, parse with the format instead of guessing.
+                if (dateFormat.value !== undefined) {
+                    if (!_.isDate(value)) {
+                        const date = parseDateFormat(value, dateFormat.value,
+                            properties.timezone !== undefined ? properties.timezone : options.timezone);
+                        if (!date) {
+                            throw new DateParseValidationError(dateFormat.errorMessage || `Date does not match format "${dateFormat.value}".`,
+                                value, originalValue, properties);
+                        }
+                        value = date;
+                    }
+                } else {
+                    // Attempt to parse string value with Date.parse (which returns number of milliseconds).
+                    if (_.isString(value)) {
+                        value = Date.parse(value);
+                    }
 
-                // If is timestamp, convert to Date.
-                if (isNumeric(value)) {
-                    value = new Date((value + '').length > 10 ? value : value * 1000);
+                    // If is timestamp, convert to Date.
+                    if (isNumeric(value)) {
+                        value = new Date((value + '').length > 10 ? value : value * 1000);
+                    }
                 }
 
                 // If the date couldn't be parsed, do not modify index.
@@ -584,189 +1257,2401 @@
                     value = properties.dateTransform.call(this[_privateKey]._root, value, originalValue, properties);
                 }
 
+                // Detect custom error message usage for min
+                let dateMin = detectCustomErrorMessage(properties, 'min');
+
+                // If min is defined, check to be sure the date isn't before min.
+                if (dateMin.value !== undefined && value < resolveDateBound.call(this, dateMin.value)) {
+                    throw new DateMinValidationError(dateMin.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for max
+                let dateMax = detectCustomErrorMessage(properties, 'max');
+
+                // If max is defined, check to be sure the date isn't after max.
+                if (dateMax.value !== undefined && value > resolveDateBound.call(this, dateMax.value)) {
+                    throw new DateMaxValidationError(dateMax.errorMessage, value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for past
+                let past = detectCustomErrorMessage(properties, 'past');
+
+                // If past is true, check to be sure the date is before now.
+                if (past.value && value >= new Date()) {
+                    throw new DateMaxValidationError(past.errorMessage || 'Date must be in the past.', value, originalValue, properties);
+                }
+
+                // Detect custom error message usage for future
+                let future = detectCustomErrorMessage(properties, 'future');
+
+                // If future is true, check to be sure the date is after now.
+                if (future.value && value <= new Date()) {
+                    throw new DateMinValidationError(future.errorMessage || 'Date must be in the future.', value, originalValue, properties);
+                }
+
                 return value;
 
-            default: // 'any'
+            case 'union':
+                return typecastUnion.call(this, value, originalValue, properties);
+
+            default: // 'any' or a registered type
+                if (_customTypes[properties.type]) {
+                    return typecastCustomType.call(this, value, originalValue, properties);
+                }
+
                 return value;
         }
     }
 
-    // Properties can be passed in multiple forms (an object, just a type, etc).
+    // Is field a sub-object typecast with a SchemaObject.
+    function isSubSchema(properties) {
+        return properties.type === 'object' && !!(properties.objectType || properties.discriminator);
+    }
+
+    // SchemaObject used to typecast a sub-object value.
+    // Discriminated objects use the type mapped to the value of the discriminator, or reject the value.
+    function subObjectType(value, originalValue, properties) {
+        if (!properties.discriminator) {
+            return properties.objectType;
+        }
+
+        const tag = value[properties.discriminator];
+        if (!_.isString(tag) && !_.isNumber(tag) || !_.has(properties.mapping, tag)) {
+            throw new DiscriminatorCastError(value, originalValue, properties);
+        }
+
+        return properties.mapping[tag];
+    }
+
+    // Typecast each value of a record with the values type, keys are validated with the keys type.
+    // Errors are named after the key of the value.
+    function typecastRecord(value, originalValue, properties) {
+        const record = {};
+        const subErrors = [];
+
+        _.each(value, (element, key) => {
+            record[key] = typecastRecordEntry.call(this, key, element, originalValue, properties, subErrors);
+        });
+
+        // Plain validation reports errors of sub-objects with the field, like the errors of sub-object instances.
+        if (this[_privateKey]._plain) {
+            this[_privateKey]._subErrors[properties.name] = subErrors;
+            return record;
+        }
+
+        // Values set afterwards are typecast like SchemaMap.set(), rejected values throw.
+        if (_isProxySupported === false) {
+            return record;
+        }
+        return new Proxy(record, {
+            set: (target, key, element) => {
+                target[key] = typeof key === 'string' ? typecastRecordEntry.call(this, key, element, undefined, properties, []) : element;
+                return true;
+            }
+        });
+    }
+
+    // Typecast a value of a record or Map after validating its key.
+    // Errors are named after the key of the value.
+    function typecastRecordEntry(key, value, originalValue, properties, subErrors) {
+        const name = properties.name !== undefined ? `${properties.name}.${key}` : `${key}`;
+
+        if (properties.keys) {
+            try {
+                typecast.call(this, key, undefined, properties.keys);
+            } catch (error) {
+                throw new MapKeyValidationError(undefined, key, originalValue, _.extend({}, properties, {name}), error);
+            }
+        }
+
+        if (!properties.values) {
+            return value;
+        }
+
+        try {
+            return typecastRecordValue.call(this, value, properties.values, subErrors, key);
+        } catch (error) {
+            throw prefixErrorName(error, name);
+        }
+    }
+
+    // Typecast an element of a Set with the values type, errors are named after the field.
+    // Errors of sub-objects are named after the position of the element, like the keys of a Map.
+    function typecastSetElement(element, properties, subErrors, index) {
+        if (!properties.values) {
+            return element;
+        }
+
+        try {
+            return typecastRecordValue.call(this, element, properties.values, subErrors, index);
+        } catch (error) {
+            throw properties.name !== undefined ? prefixErrorName(error, properties.name) : error;
+        }
+    }
+
+    // Typecast a value of a record, Set or Map.
+    // Arrays are new SchemaArrays and sub-objects are new instances, since values are set all at once.
+    function typecastRecordValue(value, properties, subErrors, key) {
+        if (properties.type === 'array') {
+            return this[_privateKey]._plain ?
+                typecastPlainArray.call(this, value, properties, []) :
+                typecast.call(this, value, new SchemaArray(this, properties), properties);
+        }
+
+        value = typecastType.call(this, value, undefined, properties);
+        if (this[_privateKey]._plain && isSubSchema(properties) && value !== undefined && value !== null) {
+            const objectType = subObjectType(value, undefined, properties);
+            const result = validatePlain(value, objectType[_privateKey]._schema,
+                objectType[_privateKey]._options, this[_privateKey]._root, !!properties.discriminator);
+            subErrors.push(..._.map(result.errors, (error) => prefixErrorName(error, key)));
+            value = result.value;
+        }
+        customValidate.call(this, value, undefined, properties);
+
+        return value;
+    }
+
+    // Serialize a value of a record like toObject() serializes a field.
+    function recordValueToObject(value, properties) {
+        if (_customTypes[properties.type]) {
+            return customTypeToObject(value, properties);
+        } else if (_.isObject(value) && value._isSchemaObject) {
+            return value.toObject();
+        } else if (_.isObject(value) && value._isSchemaArray || value instanceof SchemaSet) {
+            return value.toArray();
+        } else if (value instanceof SchemaMap) {
+            return value.toObject();
+        } else if (_.isDate(value)) {
+            return new Date(value.getTime());
+        } else if (_.isObject(value)) {
+            return _.clone(value);
+        }
+        return value;
+    }
+
+    // Serialize a record, Set or Map, Sets are serialized as arrays and Maps as objects.
+    function collectionToObject(value, properties) {
+        if (value instanceof SchemaSet) {
+            return value.toArray();
+        } else if (value instanceof SchemaMap) {
+            return value.toObject();
+        }
+        return _.mapValues(value, (element) => recordValueToObject(element, properties.values));
+    }
+
+    // Is field a record whose values are sub-objects.
+    // Sets and Maps hold sub-objects like records.
+    function isSubSchemaRecord(properties) {
+        return (properties.type === 'object' || properties.type === 'set' || properties.type === 'map') &&
+            !!properties.values && isSubSchema(properties.values);
+    }
+
+    // Keys and values of a record or Map, elements of a Set are keyed by position.
+    function recordEntries(value) {
+        if (value instanceof Map) {
+            return Array.from(value);
+        } else if (value instanceof Set) {
+            return _.map(Array.from(value), (element, i) => [i, element]);
+        }
+        return _.toPairs(value);
+    }
+
+    // Calls back with each sub-object instance and the name its errors are reported with.
+    // Records of sub-schemas hold a sub-object for each key, union fields hold one when a sub-schema type matched.
+    function eachSubObject(callback) {
+        const _private = this[_privateKey];
+        _.each(_private._schema, (properties, index) => {
+            const value = _private._this[index];
+            if ((isSubSchema(properties) || properties.oneOf) && value && value._isSchemaObject) {
+                callback(value, index);
+            } else if (isSubSchemaRecord(properties) && value) {
+                _.each(recordEntries(value), (entry) => {
+                    if (entry[1] && entry[1]._isSchemaObject) {
+                        callback(entry[1], `${index}.${entry[0]}`);
+                    }
+                });
+            }
+        });
+    }
+
+    // Values each type accepts without conversion, used by the "strict" oneOf match.
+    const _strictTypeMatches = {
+        string: _.isString,
+        number: _.isNumber,
+        bigint: (value) => typeof value === 'bigint',
+        boolean: _.isBoolean,
+        date: _.isDate,
+        buffer: (value) => value instanceof Uint8Array,
+        array: _.isArray,
+        set: (value) => value instanceof Set,
+        map: (value) => value instanceof Map,
+        object: (value) => _.isObject(value) && !_.isArray(value) && !_.isDate(value),
+        any: () => true
+    };
+
+    // Typecast value with the first type of oneOf that accepts it.
+    // With the "strict" match, types accepting the value without conversion are tried first.
+    // The index of the matched type is recorded for fields of instances.
+    function typecastUnion(value, originalValue, properties) {
+        const _private = this[_privateKey];
+        if (value === undefined || value === null || value === '') {
+            if (_private._unionBranches) {
+                delete _private._unionBranches[properties.name];
+            }
+            return undefined;
+        }
+
+        let branches = _.range(properties.oneOf.length);
+        if (properties.match === 'strict') {
+            branches = _.sortBy(branches, (i) => {
+                const strictMatch = _strictTypeMatches[properties.oneOf[i].type];
+                return strictMatch && strictMatch(value) ? 0 : 1;
+            });
+        }
+
+        const branchErrors = [];
+        for (const i of branches) {
+            try {
+                const subErrors = [];
+                const castValue = typecastBranch.call(this, value, properties.oneOf[i], subErrors);
+                if (_private._unionBranches && properties.name !== undefined) {
+                    _private._unionBranches[properties.name] = i;
+                }
+
+                // Plain validation reports errors of the matched sub-object with the field.
+                if (_private._plain && properties.name !== undefined) {
+                    _private._subErrors[properties.name] = subErrors;
+                }
+                return castValue;
+            } catch (error) {
+                branchErrors[i] = error;
+            }
+        }
+
+        throw new UnionCastError(branchErrors, value, originalValue, properties);
+    }
+
+    // Typecast value with a type of oneOf.
+    // Arrays and sub-objects of instances are new, like array elements.
+    // Errors of a sub-object are reported with the union field, plain validation collects them in subErrors.
+    function typecastBranch(value, properties, subErrors) {
+        if (!this[_privateKey]._plain) {
+            return typecast.call(this, value, properties.type === 'array' ? new SchemaArray(this, properties) : undefined, properties);
+        }
+
+        // Plain validation casts elements and sub-objects separately.
+        if (properties.type === 'array') {
+            return typecastPlainArray.call(this, value, properties, []);
+        }
+
+        value = typecastType.call(this, value, undefined, properties);
+        if (isSubSchema(properties)) {
+            const objectType = subObjectType(value, undefined, properties);
+            const result = validatePlain(value, objectType[_privateKey]._schema,
+                objectType[_privateKey]._options, this[_privateKey]._root, true);
+            value = result.value;
+            subErrors.push(...result.errors);
+        }
+        customValidate.call(this, value, undefined, properties);
+
+        return value;
+    }
+
+    // Types registered with SchemaObject.registerType(), by name.
+    const _customTypes = {};
+
+    // Types that can't be replaced by registered types.
+    const _builtInTypes = ['string', 'number', 'bigint', 'decimal', 'boolean', 'date', 'buffer', 'array', 'set', 'map', 'object', 'alias', 'any'];
+
+    // Typecast value with a registered type.
+    // Cast returns undefined or throws when the value can't be cast, validate returns false or an error message to reject it.
+    function typecastCustomType(value, originalValue, properties) {
+        // If index is being set with null, undefined, or empty string: clear value.
+        if (value === undefined || value === null || value === '') {
+            return undefined;
+        }
+
+        const customType = _customTypes[properties.type];
+        const setValue = value;
+        try {
+            value = customType.cast.call(this[_privateKey]._root, value, properties);
+        }
+        catch (error) {
+            throw error instanceof SetterError ? error : new CustomTypeCastError(error.message, setValue, originalValue, properties);
+        }
+
+        if (value === undefined) {
+            throw new CustomTypeCastError(null, setValue, originalValue, properties);
+        }
+
+        if (customType.validate) {
+            const result = customType.validate.call(this[_privateKey]._root, value, properties);
+            if (result === false || _.isString(result)) {
+                throw new CustomValidationError(_.isString(result) ? result : undefined, value, originalValue, properties);
+            }
+        }
+
+        return value;
+    }
+
+    // Convert value of a field for toObject(), registered types can define how they're serialized.
+    function customTypeToObject(value, properties) {
+        const customType = _customTypes[properties.type];
+        if (customType.toObject && value !== undefined && value !== null) {
+            return customType.toObject(value, properties);
+        }
+
+        return value;
+    }
+
+    // Tokens supported by date formats and the pattern they match.
+    const _dateFormatTokens = {
+        YYYY: '(\\d{4})',
+        MM: '(\\d{2})',
+        M: '(\\d{1,2})',
+        DD: '(\\d{2})',
+        D: '(\\d{1,2})',
+        HH: '(\\d{2})',
+        H: '(\\d{1,2})',
+        mm: '(\\d{2})',
+        ss: '(\\d{2})',
+        SSS: '(\\d{3})',
+        Z: '(Z|[+-]\\d{2}:?\\d{2})'
+    };
+
+    // Date formats compiled to regular expressions, by format.
+    const _dateFormats = {};
+
+    // Offset of a timezone from UTC in minutes at a point in time.
+    // Timezones are UTC offsets ('Z', '+03:00', '-0300') or IANA names ('America/Sao_Paulo').
+    function timezoneOffset(timezone, time) {
+        const offset = /^(?:Z|UTC|([+-])(\d{2}):?(\d{2}))$/i.exec(timezone);
+        if (offset) {
+            return offset[1] ? (offset[1] === '-' ? -1 : 1) * (offset[2] * 60 + offset[3] * 1) : 0;
+        }
+
+        const parts = {};
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hour12: false,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        _.each(formatter.formatToParts(new Date(time)), (part) => {
+            parts[part.type] = part.value * 1;
+        });
+
+        const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        return (wallTime - Math.floor(time / 1000) * 1000) / 60000;
+    }
+
+    // Creates Date from date and time in a timezone, or local time when timezone is undefined.
+    // Returns undefined if any part is out of range (e.g. February 30).
+    function createDate(parts, timezone) {
+        const date = new Date(0);
+        date.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+        date.setUTCHours(parts.hour, parts.minute, parts.second, parts.millisecond);
+
+        if (date.getUTCFullYear() !== parts.year || date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day ||
+            date.getUTCHours() !== parts.hour || date.getUTCMinutes() !== parts.minute || date.getUTCSeconds() !== parts.second) {
+            return;
+        }
+
+        const wallTime = date.getTime();
+        if (timezone === undefined) {
+            const localDate = new Date(0);
+            localDate.setFullYear(parts.year, parts.month - 1, parts.day);
+            localDate.setHours(parts.hour, parts.minute, parts.second, parts.millisecond);
+            return localDate;
+        }
+
+        // The offset depends on the time itself, correct it once for daylight saving time transitions.
+        const offset = timezoneOffset(timezone, wallTime - timezoneOffset(timezone, wallTime) * 60000);
+        return new Date(wallTime - offset * 60000);
+    }
+
+    // Parses value with a date format: 'unix' (seconds), 'unixMs' (milliseconds), 'iso' (ISO 8601) or a pattern such as 'DD/MM/YYYY HH:mm'.
+    // Values without an offset are in the timezone passed.
+    // Returns undefined if the value doesn't match the format.
+    function parseDateFormat(value, format, timezone) {
+        if (format === 'unix' || format === 'unixMs') {
+            if (!isNumeric(value) || _.isString(value) && !/^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+                return;
+            }
+            return new Date(format === 'unix' ? value * 1000 : value * 1);
+        }
+
+        if (!_.isString(value)) {
+            return;
+        }
+
+        if (!_dateFormats[format]) {
+            const tokens = [];
+            let pattern;
+            if (format === 'iso') {
+                tokens.push('YYYY', 'MM', 'DD', 'HH', 'mm', 'ss', 'SSS', 'Z');
+                pattern = '(\\d{4})-(\\d{2})-(\\d{2})(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d{1,3})\\d*)?)?)?(Z|[+-]\\d{2}:?\\d{2})?';
+            } else {
+                pattern = format.replace(/YYYY|MM|M|DD|D|HH|H|mm|ss|SSS|Z|[^YMDHmsSZ]+|./g, (token) => {
+                    if (_dateFormatTokens[token]) {
+                        tokens.push(token);
+                        return _dateFormatTokens[token];
+                    }
+                    return _.escapeRegExp(token);
+                });
+            }
+            _dateFormats[format] = {
+                regex: new RegExp(`^${pattern}$`),
+                tokens: tokens
+            };
+        }
+
+        const match = _dateFormats[format].regex.exec(value.trim());
+        if (!match) {
+            return;
+        }
+
+        const parts = {
+            year: 1970,
+            month: 1,
+            day: 1,
+            hour: 0,
+            minute: 0,
+            second: 0,
+            millisecond: 0
+        };
+        let offset;
+        _.each(_dateFormats[format].tokens, (token, i) => {
+            const part = match[i + 1];
+            if (part === undefined) {
+                return;
+            }
+
+            switch (token) {
+                case 'YYYY': parts.year = part * 1; break;
+                case 'MM': case 'M': parts.month = part * 1; break;
+                case 'DD': case 'D': parts.day = part * 1; break;
+                case 'HH': case 'H': parts.hour = part * 1; break;
+                case 'mm': parts.minute = part * 1; break;
+                case 'ss': parts.second = part * 1; break;
+                case 'SSS': parts.millisecond = _.padEnd(part, 3, '0') * 1; break;
+                case 'Z': offset = part; break;
+            }
+        });
+
+        return createDate(parts, offset !== undefined ? offset : timezone);
+    }
+
+    // Multiplies number by a power of ten without floating point errors (1.005 * 100 is 100.49999999999999).
+    function shiftDecimal(value, exponent) {
+        const parts = (value + '').split('e');
+        return Number(`${parts[0]}e${(parts[1] || 0) * 1 + exponent}`);
+    }
+
+    // Number of decimal places.
+    function countDecimals(value) {
+        const match = /(?:\.(\d+))?(?:e([+-]?\d+))?$/.exec(value + '');
+        return Math.max(0, (match[1] || '').length - (match[2] || 0));
+    }
+
+    // Is value a multiple of multipleOf, compared as decimals.
+    function isMultipleOf(value, multipleOf) {
+        const exponent = Math.max(countDecimals(value), countDecimals(multipleOf));
+        return Math.round(shiftDecimal(value, exponent)) % Math.round(shiftDecimal(multipleOf, exponent)) === 0;
+    }
+
+    // Rounding modes for number precision.
+    const _roundingModes = {
+        // Half away from zero.
+        'half-up': (value) => Math.sign(value) * Math.round(Math.abs(value)),
+
+        // Half to even.
+        bankers: (value) => {
+            const floor = Math.floor(value);
+            return value - floor === 0.5 ? (floor % 2 === 0 ? floor : floor + 1) : Math.round(value);
+        },
+
+        floor: Math.floor
+    };
+
+    // Round number to decimal places.
+    function roundNumber(value, precision, mode) {
+        return shiftDecimal(_roundingModes[mode](shiftDecimal(value, precision)), -precision) || 0;
+    }
+
+    // Strings each buffer encoding accepts.
+    const _byteEncodings = {
+        base64: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+        hex: /^(?:[0-9A-Fa-f]{2})*$/
+    };
+
+    // Bytes are kept in a Buffer in Node and in a Uint8Array in browsers.
+    // Typed arrays and ArrayBuffers are viewed as bytes without copying, Buffers are kept as is.
+    function toBytes(value) {
+        const hasBuffer = typeof Buffer === 'function';
+        if (hasBuffer ? Buffer.isBuffer(value) : value instanceof Uint8Array) {
+            return value;
+        }
+
+        const arrayBuffer = value instanceof ArrayBuffer ? value : value.buffer;
+        const byteOffset = value instanceof ArrayBuffer ? 0 : value.byteOffset;
+        const byteLength = value.byteLength;
+        return hasBuffer ? Buffer.from(arrayBuffer, byteOffset, byteLength) : new Uint8Array(arrayBuffer, byteOffset, byteLength);
+    }
+
+    // Decode bytes from a base64 or hex string, or undefined if the string isn't encoded with the encoding.
+    function decodeBytes(string, encoding) {
+        if (!_byteEncodings[encoding].test(string)) {
+            return;
+        }
+        if (typeof Buffer === 'function') {
+            return Buffer.from(string, encoding);
+        }
+
+        if (encoding === 'hex') {
+            return Uint8Array.from(string.match(/../g), (byte) => parseInt(byte, 16));
+        }
+        return Uint8Array.from(atob(string), (char) => char.charCodeAt(0));
+    }
+
+    // Encode bytes as a base64 string.
+    function encodeBase64(bytes) {
+        if (typeof Buffer === 'function') {
+            return toBytes(bytes).toString('base64');
+        }
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    // Parse decimal number from a string or number without floating point, exponents are applied to the digits.
+    // Returns the sign, integer and fraction digits without leading and trailing zeros, or undefined if it isn't a number.
+    function parseDecimal(value) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec((value + '').trim());
+        if (!match || !match[2] && !match[3]) {
+            return undefined;
+        }
+
+        // Move the decimal point by the exponent.
+        let digits = match[2] + (match[3] || '');
+        let point = match[2].length + Number(match[4] || 0);
+        if (point < 0) {
+            digits = _.repeat('0', -point) + digits;
+            point = 0;
+        }
+        digits = _.padEnd(digits, point, '0');
+
+        const integer = digits.slice(0, point).replace(/^0+/, '') || '0';
+        const fraction = digits.slice(point).replace(/0+$/, '');
+        return {
+            sign: match[1] === '-' && (integer !== '0' || fraction) ? '-' : '',
+            integer: integer,
+            fraction: fraction
+        };
+    }
+
+    // Currency codes or symbols, optionally prefixed by letters (R$, US$).
+    const _currencyPattern = '(?:[A-Z]{3}|[A-Za-z]{0,2}[$\\u00a2-\\u00a5\\u058f\\u060b\\u09f2\\u09f3\\u0e3f\\u17db\\u20a0-\\u20c0\\ufdfc\\ufe69\\uff04\\uffe0\\uffe1\\uffe5\\uffe6])';
+
+    // Sign and currency before a number, percent sign or currency after it.
+    const _numberAffixes = new RegExp(`^([+\\-\\u2212]?) ?(?:${_currencyPattern})? ?([+\\-\\u2212]?)(.*?) ?(%|${_currencyPattern})?$`);
+
+    // Number formats of each locale, derived from Intl.NumberFormat.
+    const _localeNumberFormats = {};
+
+    // Get the separators and grouping of a locale.
+    // Space and apostrophe group separators are normalized, so any variant of them can be used when parsing.
+    function localeNumberFormat(locale) {
+        if (!_localeNumberFormats[locale]) {
+            let parts;
+            try {
+                parts = new Intl.NumberFormat(locale).formatToParts(123456789.5);
+            }
+            catch (e) {
+                throw new Error(`[schema-object] Unknown locale "${locale}".`);
+            }
+
+            const groups = _.filter(parts, {type: 'integer'});
+            const group = (_.find(parts, {type: 'group'}) || {}).value;
+            const normalizedGroup = group === undefined ? undefined :
+                /^[\s\u00a0\u202f]$/.test(group) ? ' ' :
+                /^['\u2019]$/.test(group) ? '\'' :
+                group;
+
+            // Primary group is the last one, secondary groups may have a different size (12,34,56,789 in en-IN).
+            const primary = _.last(groups).value.length;
+            const secondary = groups.length > 2 ? groups[groups.length - 2].value.length : primary;
+            const integer = normalizedGroup === undefined ? '\\d+' :
+                `\\d*|\\d{1,${secondary}}(?:${_.escapeRegExp(normalizedGroup)}\\d{${secondary}})*${_.escapeRegExp(normalizedGroup)}\\d{${primary}}`;
+
+            _localeNumberFormats[locale] = {
+                normalizeGroup: normalizedGroup === ' ' ? /[\s\u00a0\u202f]/g : normalizedGroup === '\'' ? /['\u2019]/g : undefined,
+                group: normalizedGroup,
+                number: new RegExp(`^(${integer})(?:${_.escapeRegExp(_.find(parts, {type: 'decimal'}).value)}(\\d+))?$`)
+            };
+        }
+
+        return _localeNumberFormats[locale];
+    }
+
+    // Parse number formatted for a locale. Currency symbols are ignored and percentages are divided by 100.
+    // Returns NaN when the string isn't a number of the locale, including misplaced group separators (1,2,3).
+    function parseLocaleNumber(value, locale) {
+        const format = localeNumberFormat(locale);
+        if (format.normalizeGroup) {
+            value = value.replace(format.normalizeGroup, format.group);
+        }
+
+        const match = _numberAffixes.exec(value.replace(/[\s\u00a0\u202f]+/g, ' ').trim());
+        const number = match && !(match[1] && match[2]) ? format.number.exec(match[3]) : null;
+        if (!number || !number[1] && !number[2]) {
+            return NaN;
+        }
+
+        const sign = /[\-\u2212]/.test(match[1] + match[2]) ? '-' : '';
+        value = Number(`${sign}${format.group === undefined ? number[1] : number[1].split(format.group).join('')}.${number[2] || 0}`);
+        return match[4] === '%' ? shiftDecimal(value, -2) : value;
+    }
+
+    // Is an IPv6 address, optionally ending with an IPv4 address.
+    function isIPv6(value) {
+        const ipv4 = /(?:^|:)((?:\d{1,3}\.){3}\d{1,3})$/.exec(value);
+        if (ipv4) {
+            if (!_stringFormats.ipv4.test(ipv4[1])) {
+                return false;
+            }
+            value = value.slice(0, value.length - ipv4[1].length) + '0:0';
+        }
+
+        const group = /^[0-9a-f]{1,4}$/i;
+        const halves = value.split('::');
+        if (halves.length > 2) {
+            return false;
+        }
+
+        const groups = _.map(halves, (half) => half ? half.split(':') : []);
+        const count = groups[0].length + (groups[1] ? groups[1].length : 0);
+        if (halves.length === 2 ? count > 7 : count !== 8) {
+            return false;
+        }
+
+        return _.every(_.flatten(groups), (part) => group.test(part));
+    }
+
+    // Unicode normalization forms of String.prototype.normalize().
+    const _normalizationForms = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+    // String formats, by name. Validators are regular expressions or functions returning a boolean.
+    // Formats can be added with SchemaObject.registerFormat().
+    const _stringFormats = {
+        email: /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
+        url: (value) => {
+            const match = /^(?:https?|ftp):\/\/([^\s/?#]+)[^\s]*$/i.exec(value);
+            if (!match) {
+                return false;
+            }
+
+            // Host may include credentials and port.
+            const host = match[1].replace(/^[^@]*@/, '').replace(/:\d*$/, '');
+            return _stringFormats.hostname.test(host) || _stringFormats.ipv4.test(host) ||
+                /^\[.+\]$/.test(host) && isIPv6(host.slice(1, -1));
+        },
+        uuid: /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}|0{8}-0{4}-0{4}-0{4}-0{12})$/i,
+        ipv4: /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+        ipv6: isIPv6,
+        hostname: /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+        'iso-date': (value) => !!parseDateFormat(value, 'iso', 'UTC'),
+        'hex-color': /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i,
+        slug: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        'phone-e164': /^\+[1-9]\d{1,14}$/
+    };
+
+    // Test string with a registered format.
+    function testStringFormat(format, value) {
+        const validator = _stringFormats[format];
+        return _.isRegExp(validator) ? validator.test(value) : !!validator(value);
+    }
+
+    // Resolve date min or max, which may be a Date, a timestamp in milliseconds, a date string or a function returning one.
+    // Functions are evaluated at validation time in the context of the object.
+    function resolveDateBound(bound) {
+        if (_.isFunction(bound)) {
+            bound = bound.call(this[_privateKey]._root);
+        }
+
+        return _.isDate(bound) ? bound : new Date(bound);
+    }
+
+    // Properties each compiled typecast supports. Fields using any other property use the interpreted typecast.
+    const _compilableProperties = {
+        common: ['type', 'name', 'transform', 'default', 'getter', 'required', 'readOnly', 'invisible', 'nullable',
+            'transformAsync', 'validateAsync', 'validate'],
+        string: ['stringTransform', 'enum', 'minLength', 'maxLength', 'regex', 'clip', 'format',
+            'normalize', 'collapseWhitespace', 'trim', 'lowercase', 'uppercase'],
+        number: ['numberTransform', 'locale', 'min', 'max', 'integer', 'multipleOf', 'precision', 'round', 'positive', 'nonNegative'],
+        boolean: ['booleanTransform'],
+        date: ['dateTransform', 'min', 'max', 'past', 'future', 'format', 'timezone'],
+        array: ['arrayType', 'unique', 'filter'],
+        object: ['objectType']
+    };
+
+    // Generates a typecast function specialized for the field properties.
+    // Validators and options are resolved once instead of on every assignment.
+    // Behaves exactly like typecastType() and returns undefined if the field can't be compiled.
+    function compileTypecast(properties, options) {
+        if (!_compilableProperties[properties.type]) {
+            return;
+        }
+        for (const key in properties) {
+            if (key !== _privateKey && _compilableProperties.common.indexOf(key) === -1 &&
+                _compilableProperties[properties.type].indexOf(key) === -1) {
+                return;
+            }
+        }
+
+        // Values referenced by the generated code.
+        const constants = [];
+        function constant(value) {
+            constants.push(value);
+            return `c[${constants.length - 1}]`;
+        }
+
+        const root = 'this[_privateKey]._root';
+        const args = 'value, originalValue, properties';
+        const code = [];
+
+        if (properties.transform) {
+            code.push(`value = properties.transform.call(${root}, ${args});`);
+        }
+        if (isNullable(properties, options)) {
+            code.push('if (value === null) { return null; }');
+        }
+
+        switch (properties.type) {
+            case 'string':
+                code.push(`if (_.isObject(value)) { throw new e.StringCastError(${args}); }`);
+                code.push('if (value === undefined || value === null) { return undefined; }');
+                code.push(`value = value + '';`);
+                if (properties.normalize) {
+                    code.push(`value = value.normalize(${constant(properties.normalize)});`);
+                }
+                if (properties.collapseWhitespace) {
+                    code.push(`value = value.replace(/\\s+/g, ' ');`);
+                }
+                if (properties.trim) {
+                    code.push('value = value.trim();');
+                }
+                if (properties.lowercase) {
+                    code.push('value = value.toLowerCase();');
+                }
+                if (properties.uppercase) {
+                    code.push('value = value.toUpperCase();');
+                }
+                if (properties.stringTransform) {
+                    code.push(`value = properties.stringTransform.call(${root}, ${args});`);
+                }
+                if (properties.clip !== undefined && properties.maxLength !== undefined) {
+                    code.push('value = value.substr(0, properties.maxLength);');
+                }
+
+                const enumValidation = detectEnumValidation(properties);
+                if (_.isArray(enumValidation.value)) {
+                    code.push(`if (${constant(enumValidation.value)}.indexOf(value) === -1) { ` +
+                        `throw new e.StringEnumValidationError(${constant(enumValidation.errorMessage)}, ${args}); }`);
+                }
+
+                const minLength = detectCustomErrorMessage(properties, 'minLength');
+                if (minLength.value !== undefined) {
+                    code.push(`if (value.length < ${constant(minLength.value)}) { ` +
+                        `throw new e.StringMinLengthValidationError(${constant(minLength.errorMessage)}, ${args}); }`);
+                }
+
+                const maxLength = detectCustomErrorMessage(properties, 'maxLength');
+                if (maxLength.value !== undefined) {
+                    code.push(`if (value.length > ${constant(maxLength.value)}) { ` +
+                        `throw new e.StringMaxLengthValidationError(${constant(maxLength.errorMessage)}, ${args}); }`);
+                }
+
+                const regex = detectCustomErrorMessage(properties, 'regex');
+                if (regex.value) {
+                    code.push(`if (!${constant(regex.value)}.test(value)) { ` +
+                        `throw new e.StringRegexValidationError(${constant(regex.errorMessage)}, ${args}); }`);
+                }
+
+                const stringFormat = detectCustomErrorMessage(properties, 'format');
+                if (stringFormat.value !== undefined) {
+                    code.push(`if (!testStringFormat(${constant(stringFormat.value)}, value)) { ` +
+                        `throw new e.StringFormatValidationError(${constant(stringFormat.errorMessage ||
+                            `String does not match format "${stringFormat.value}".`)}, ${args}); }`);
+                }
+                break;
+
+            case 'number':
+                code.push(`if (value === undefined || value === null || value === '') { return undefined; }`);
+                code.push('if (_.isBoolean(value)) { value = value ? 1 : 0; }');
+                code.push(`if (typeof value === 'string') {`);
+                const locale = properties.locale !== undefined ? properties.locale : options.locale;
+                if (locale !== undefined) {
+                    code.push(`value = parseLocaleNumber(value, ${constant(locale)});`);
+                } else if (options.useDecimalNumberGroupSeparator) {
+                    code.push(`value = value.replace(/\\./g, '').replace(/,/g, '.');`);
+                } else {
+                    code.push(`value = value.replace(/,/g, '');`);
+                }
+                code.push(`if (isNaN(Number(value))) { throw new e.NumberCastError('String', ${args}); }`);
+                code.push('}');
+                code.push(`if (_.isArray(value)) { throw new e.NumberCastError('Array', ${args}); }`);
+                code.push(`else if (_.isObject(value)) { throw new e.NumberCastError('Object', ${args}); }`);
+                code.push(`else if (!isNumeric(value)) { throw new e.NumberCastError('Non-numeric', ${args}); }`);
+                code.push('value = Number(value);');
+                if (properties.numberTransform) {
+                    code.push(`value = properties.numberTransform.call(${root}, ${args});`);
+                }
+
+                const precision = detectCustomErrorMessage(properties, 'precision');
+                if (precision.value !== undefined && properties.round) {
+                    code.push(`value = roundNumber(value, ${constant(precision.value)}, ${constant(properties.round)});`);
+                }
+
+                const min = detectCustomErrorMessage(properties, 'min');
+                if (min.value !== undefined) {
+                    code.push(`if (value < ${constant(min.value)}) { ` +
+                        `throw new e.NumberMinValidationError(${constant(min.errorMessage)}, ${args}); }`);
+                }
+
+                const max = detectCustomErrorMessage(properties, 'max');
+                if (max.value !== undefined) {
+                    code.push(`if (value > ${constant(max.value)}) { ` +
+                        `throw new e.NumberMaxValidationError(${constant(max.errorMessage)}, ${args}); }`);
+                }
+
+                const integer = detectCustomErrorMessage(properties, 'integer');
+                if (integer.value) {
+                    code.push('if (!Number.isInteger(value)) { ' +
+                        `throw new e.NumberIntegerValidationError(${constant(integer.errorMessage)}, ${args}); }`);
+                }
+
+                const multipleOf = detectCustomErrorMessage(properties, 'multipleOf');
+                if (multipleOf.value !== undefined) {
+                    code.push(`if (!isMultipleOf(value, ${constant(multipleOf.value)})) { ` +
+                        `throw new e.NumberMultipleOfValidationError(${constant(multipleOf.errorMessage)}, ${args}); }`);
+                }
+
+                if (precision.value !== undefined) {
+                    code.push(`if (countDecimals(value) > ${constant(precision.value)}) { ` +
+                        `throw new e.NumberPrecisionValidationError(${constant(precision.errorMessage)}, ${args}); }`);
+                }
+
+                const positive = detectCustomErrorMessage(properties, 'positive');
+                if (positive.value) {
+                    code.push('if (!(value > 0)) { ' +
+                        `throw new e.NumberPositiveValidationError(${constant(positive.errorMessage)}, ${args}); }`);
+                }
+
+                const nonNegative = detectCustomErrorMessage(properties, 'nonNegative');
+                if (nonNegative.value) {
+                    code.push('if (!(value >= 0)) { ' +
+                        `throw new e.NumberNonNegativeValidationError(${constant(nonNegative.errorMessage)}, ${args}); }`);
+                }
+                break;
+
+            case 'boolean':
+                code.push(`if (value === undefined || value === null || value === '') { return undefined; }`);
+                code.push(`if (value === 'false') { return false; }`);
+                code.push('if (isNumeric(value)) { return (value * 1) > 0; }');
+                code.push('value = !!value;');
+                if (properties.booleanTransform) {
+                    code.push(`value = properties.booleanTransform.call(${root}, ${args});`);
+                }
+                break;
+
+            case 'array':
+                code.push('if (_.isObject(value)) { value = _.toArray(value); }');
+                code.push(`if (!_.isArray(value)) { throw new e.ArrayCastError(${args}); }`);
+                code.push('if (originalValue === null) { originalValue = new SchemaArray(this, properties); }');
+                code.push('originalValue.length = 0;');
+                code.push('for (var i = 0; i < value.length; i++) { originalValue.push(value[i]); }');
+                code.push('return originalValue;');
+                break;
+
+            case 'object':
+                code.push(`if (!_.isObject(value)) { throw new e.ObjectCastError(${args}); }`);
+                if (properties.objectType) {
+                    code.push('if (!this[_privateKey]._plain) {');
+                    code.push('var schemaObject;');
+                    code.push('if (originalValue !== undefined && originalValue !== null) { schemaObject = originalValue; schemaObject.clear(); }');
+                    code.push(`else { schemaObject = new properties.objectType({}, ${root}); }`);
+                    code.push('for (var key in value) { schemaObject[key] = value[key]; }');
+                    code.push('value = schemaObject;');
+                    code.push('}');
+                }
+                break;
+
+            case 'date':
+                code.push(`if (value === undefined || value === null || value === '') { return undefined; }`);
+                code.push(`if (!_.isDate(value) && !_.isString(value) && !_.isNumber(value)) { throw new e.DateCastError(${args}); }`);
+                const dateFormat = detectCustomErrorMessage(properties, 'format');
+                if (dateFormat.value !== undefined) {
+                    const timezone = properties.timezone !== undefined ? properties.timezone : options.timezone;
+                    code.push('if (!_.isDate(value)) {');
+                    code.push(`var date = parseDateFormat(value, ${constant(dateFormat.value)}, ${constant(timezone)});`);
+                    code.push('if (!date) { ' +
+                        `throw new e.DateParseValidationError(${constant(dateFormat.errorMessage ||
+                            `Date does not match format "${dateFormat.value}".`)}, ${args}); }`);
+                    code.push('value = date;');
+                    code.push('}');
+                } else {
+                    code.push('if (_.isString(value)) { value = Date.parse(value); }');
+                    code.push(`if (isNumeric(value)) { value = new Date((value + '').length > 10 ? value : value * 1000); }`);
+                }
+                code.push(`if (value == 'Invalid Date' || !_.isDate(value)) { throw new e.DateParseValidationError(null, ${args}); }`);
+                if (properties.dateTransform) {
+                    code.push(`value = properties.dateTransform.call(${root}, ${args});`);
+                }
+
+                // Bounds that aren't functions are resolved once.
+                const dateMin = detectCustomErrorMessage(properties, 'min');
+                if (dateMin.value !== undefined) {
+                    const bound = _.isFunction(dateMin.value) ?
+                        `resolveDateBound.call(this, ${constant(dateMin.value)})` : constant(resolveDateBound(dateMin.value));
+                    code.push(`if (value < ${bound}) { ` +
+                        `throw new e.DateMinValidationError(${constant(dateMin.errorMessage)}, ${args}); }`);
+                }
+
+                const dateMax = detectCustomErrorMessage(properties, 'max');
+                if (dateMax.value !== undefined) {
+                    const bound = _.isFunction(dateMax.value) ?
+                        `resolveDateBound.call(this, ${constant(dateMax.value)})` : constant(resolveDateBound(dateMax.value));
+                    code.push(`if (value > ${bound}) { ` +
+                        `throw new e.DateMaxValidationError(${constant(dateMax.errorMessage)}, ${args}); }`);
+                }
+
+                const past = detectCustomErrorMessage(properties, 'past');
+                if (past.value) {
+                    code.push('if (value >= new Date()) { ' +
+                        `throw new e.DateMaxValidationError(${constant(past.errorMessage || 'Date must be in the past.')}, ${args}); }`);
+                }
+
+                const future = detectCustomErrorMessage(properties, 'future');
+                if (future.value) {
+                    code.push('if (value <= new Date()) { ' +
+                        `throw new e.DateMinValidationError(${constant(future.errorMessage || 'Date must be in the future.')}, ${args}); }`);
+                }
+                break;
+        }
+
+        code.push('return value;');
+
+        const errors = {
+            StringCastError, NumberCastError, ArrayCastError, ObjectCastError, DateCastError,
+            StringEnumValidationError, StringMinLengthValidationError, StringMaxLengthValidationError,
+            StringRegexValidationError, StringFormatValidationError, NumberMinValidationError, NumberMaxValidationError,
+            NumberIntegerValidationError, NumberMultipleOfValidationError, NumberPrecisionValidationError,
+            NumberPositiveValidationError, NumberNonNegativeValidationError, DateParseValidationError,
+            DateMinValidationError, DateMaxValidationError
+        };
+
+        // Functions and values referenced by the generated code.
+        const scope = {
+            _, _privateKey, SchemaArray, isNumeric, parseLocaleNumber, resolveDateBound, parseDateFormat, testStringFormat, roundNumber, countDecimals, isMultipleOf,
+            e: errors,
+            c: constants
+        };
+
+        return new Function(..._.keys(scope),
+            `return function compiledTypecast(value, originalValue, properties) {\n${code.join('\n')}\n};`
+        )(..._.values(scope));
+    }
+
+    // Properties can be passed in multiple forms (an object, just a type, etc).
     // Normalize to a standard format.
     function normalizeProperties(properties, name) {
         // Allow for shorthand type declaration:
 
-        // Check to see if the user passed in a raw type of a properties hash.
-        if (properties) {
-            // Raw type passed.
-            // index: Type is translated to index: {type: Type}
-            // Properties hash created.
-            if (properties.type === undefined) {
-                properties = {
-                    type: properties
-                };
+        // Check to see if the user passed in a raw type of a properties hash.
+        if (properties) {
+            // Raw type passed.
+            // index: Type is translated to index: {type: Type}
+            // Properties hash created.
+            // Properties with oneOf are a union of types.
+            if (properties.type === undefined && !_.isArray(properties.oneOf)) {
+                properties = {
+                    type: properties
+                };
+
+                // Properties hash passed.
+                // Copy properties hash before modifying.
+                // Users can pass in their own custom types to the schema and we don't want to write to that object.
+                // Especially since properties.name contains the index of our field and copying that will break functionality.
+            } else {
+                properties = _.cloneDeep(properties);
+            }
+        }
+
+        // Type may be an object with properties.
+        // If "type.type" exists, we'll assume it's meant to be properties.
+        // This means that shorthand objects can't use the "type" index.
+        // If "type" is necessary, they must be wrapped in a SchemaObject.
+        if (_.isObject(properties.type) && properties.type.type !== undefined) {
+            _.each(properties.type, (value, key) => {
+                if (properties[key] === undefined) {
+                    properties[key] = value;
+                }
+            });
+            properties.type = properties.type.type;
+        }
+
+        // index: {oneOf: [Type, Type]} is translated to index: {type: 'union', oneOf: [Type, Type]}
+        if (properties.type === undefined && _.isArray(properties.oneOf)) {
+            properties.type = 'union';
+        }
+
+        // Buffer has static properties and would be mistaken for a schema.
+        if (typeof Buffer === 'function' && properties.type === Buffer) {
+            properties.type = 'buffer';
+        }
+
+        // Null or undefined should be flexible and allow any value.
+        if (properties.type === null || properties.type === undefined) {
+            properties.type = 'any';
+
+            // Convert object representation of type to lowercase string.
+            // String is converted to 'string', Number to 'number', etc.
+            // Do not convert the initialized SchemaObjectInstance to a string!
+            // Check for a shorthand declaration of schema by key length.
+        } else if (_.isString(properties.type.name) && properties.type.name !== 'SchemaObjectInstance' &&
+            Object.keys(properties.type).length === 0) {
+            properties.type = properties.type.name;
+        }
+        if (_.isString(properties.type)) {
+            properties.type = properties.type.toLowerCase();
+        }
+
+        // index: [Type] or index: [] is translated to index: {type: Array, arrayType: Type}
+        if (_.isArray(properties.type)) {
+            if (_.size(properties.type)) {
+                properties.arrayType = properties.type[0];
+            }
+            properties.type = 'array';
+        }
+
+        // Each type of a union is typecast with normalized properties.
+        if (properties.type === 'union') {
+            if (!_.isArray(properties.oneOf) || !properties.oneOf.length) {
+                throw new Error('[schema-object] oneOf must be a non-empty array of types.');
+            }
+            if (properties.match !== undefined && properties.match !== 'first' && properties.match !== 'strict') {
+                throw new Error(`[schema-object] Unknown oneOf match "${properties.match}".`);
+            }
+            properties.oneOf = _.map(properties.oneOf, (type) => normalizeProperties.call(this, type));
+        }
+
+        // Tuple positions and additional elements are typecast with normalized properties.
+        if (properties.type === 'array' && properties.items !== undefined) {
+            if (!_.isArray(properties.items) || !properties.items.length) {
+                throw new Error('[schema-object] Tuple items must be a non-empty array of types.');
+            }
+            properties.items = _.map(properties.items, (type) => normalizeProperties.call(this, type));
+            if (properties.additionalItems === true) {
+                properties.additionalItems = {type: 'any'};
+            } else if (properties.additionalItems) {
+                properties.additionalItems = normalizeProperties.call(this, properties.additionalItems);
+            }
+        }
+
+        // Array elements are typecast with normalized properties.
+        if (properties.type === 'array' && properties.arrayType) {
+            properties.arrayType = normalizeProperties.call(this, properties.arrayType);
+        }
+
+        // index: {} or index: SchemaObject is translated to index: {type: Object, objectType: Type}
+        if (!_.isString(properties.type)) {
+            if (_.isFunction(properties.type)) {
+                properties.objectType = properties.type;
+                properties.type = 'object';
+            } else if (_.isObject(properties.type)) {
+                // When an empty object is passed, no schema is enforced.
+                if (_.size(properties.type)) {
+                    // Options should be inherited by sub-SchemaObjects, except toObject and validate.
+                    const options = _.clone(this[_privateKey]._options);
+                    delete options.toObject;
+                    delete options.validate;
+
+                    // When we're creating a nested schema automatically, it should always inherit the root "this".
+                    options.inheritRootThis = true;
+
+                    // Initialize the SchemaObject sub-schema automatically.
+                    properties.objectType = new SchemaObject(properties.type, options);
+                }
+
+                // Regardless of if we created a sub-schema or not, the field is indexed as an object.
+                properties.type = 'object';
+            }
+        }
+
+        // Buffer encoding must exist.
+        if (properties.type === 'buffer' && properties.encoding !== undefined && !_.has(_byteEncodings, properties.encoding)) {
+            throw new Error(`[schema-object] Unknown buffer encoding "${properties.encoding}".`);
+        }
+
+        // BigInt must be supported by the environment.
+        if (properties.type === 'bigint' && typeof BigInt === 'undefined') {
+            throw new Error('[schema-object] BigInt is not supported in this environment.');
+        }
+
+        // Decimal can't have more decimal places than digits.
+        if (properties.type === 'decimal') {
+            const scale = detectCustomErrorMessage(properties, 'scale').value;
+            const precision = detectCustomErrorMessage(properties, 'precision').value;
+            if (scale !== undefined && precision !== undefined && scale > precision) {
+                throw new Error('[schema-object] Decimal scale can\'t be greater than precision.');
+            }
+        }
+
+        // Record values are typecast with normalized properties, keys are strings.
+        if ((properties.type === 'object' || properties.type === 'set' || properties.type === 'map') &&
+            (properties.values !== undefined || properties.keys !== undefined)) {
+            if (properties.type === 'set' && properties.keys !== undefined) {
+                throw new Error('[schema-object] Set can\'t have keys.');
+            }
+            if (properties.objectType || properties.discriminator) {
+                throw new Error('[schema-object] Record values can\'t be combined with objectType or discriminator.');
+            }
+            if (properties.values !== undefined) {
+                properties.values = normalizeProperties.call(this, properties.values);
+            }
+            if (properties.keys !== undefined) {
+                // Keys are defined with a regex or string properties, such as {regex: /^[a-z]{2}$/}.
+                let keys = properties.keys;
+                if (_.isRegExp(keys)) {
+                    keys = {type: String, regex: keys};
+                } else if (_.isPlainObject(keys) && keys.type === undefined) {
+                    keys = _.extend({type: String}, keys);
+                }
+                properties.keys = normalizeProperties.call(this, keys);
+                if (properties.keys.type !== 'string') {
+                    throw new Error('[schema-object] Record keys must be strings.');
+                }
+            }
+        }
+
+        // Discriminated object types are normalized like objectType, from a SchemaObject or a schema.
+        if (properties.type === 'object' && properties.discriminator !== undefined) {
+            if (!_.isString(properties.discriminator) || !_.isPlainObject(properties.mapping) || !_.size(properties.mapping)) {
+                throw new Error('[schema-object] Discriminator must be a field name with a mapping of types.');
+            }
+            properties.mapping = _.mapValues(properties.mapping, (type, tag) => {
+                const objectType = normalizeProperties.call(this, type).objectType;
+                if (!isSchemaObjectFactory(objectType)) {
+                    throw new Error(`[schema-object] Discriminator mapping "${tag}" must be a SchemaObject or a schema.`);
+                }
+                return objectType;
+            });
+        }
+
+        // Rounding mode must exist.
+        if (properties.type === 'number' && properties.round !== undefined && !_.has(_roundingModes, properties.round)) {
+            throw new Error(`[schema-object] Unknown rounding mode "${properties.round}".`);
+        }
+
+        // Locale must be supported by Intl.
+        if (properties.type === 'number') {
+            const locale = properties.locale !== undefined ? properties.locale : this[_privateKey]._options.locale;
+            if (locale !== undefined) {
+                localeNumberFormat(locale);
+            }
+        }
+
+        // Timezone must be a UTC offset or supported by Intl.
+        if (properties.type === 'date') {
+            const timezone = properties.timezone !== undefined ? properties.timezone : this[_privateKey]._options.timezone;
+            if (timezone !== undefined) {
+                try {
+                    timezoneOffset(timezone, 0);
+                }
+                catch (e) {
+                    throw new Error(`[schema-object] Unknown timezone "${timezone}".`);
+                }
+            }
+        }
+
+        // Normalization form must exist.
+        if (properties.type === 'string' && properties.normalize && !_.includes(_normalizationForms, properties.normalize)) {
+            throw new Error(`[schema-object] Unknown normalization form "${properties.normalize}".`);
+        }
+
+        // Formats must be registered before they're used.
+        if (properties.type === 'string' && properties.format !== undefined) {
+            const stringFormat = detectCustomErrorMessage(properties, 'format').value;
+            if (!_.has(_stringFormats, stringFormat)) {
+                throw new Error(`[schema-object] Unknown string format "${stringFormat}".`);
+            }
+        }
+
+        // Set name if passed on properties.
+        // It's used to show what field an error what generated on.
+        if (name) {
+            properties.name = name;
+        }
+
+        // Generate specialized typecast for the field.
+        if (this[_privateKey]._options.compile) {
+            delete properties[_privateKey];
+            const compiledTypecast = compileTypecast(properties, this[_privateKey]._options);
+            if (compiledTypecast) {
+                properties[_privateKey] = {
+                    _typecast: compiledTypecast
+                };
+            }
+        }
+
+        return properties;
+    }
+
+    // Is a factory created by SchemaObject.
+    function isSchemaObjectFactory(value) {
+        return _.isFunction(value) && !!value[_privateKey] && !!value.prototype && _.isFunction(value.prototype._isSchemaObject);
+    }
+
+    // String formats with a JSON Schema equivalent.
+    const _jsonSchemaStringFormats = {
+        email: 'email',
+        url: 'uri',
+        uuid: 'uuid',
+        ipv4: 'ipv4',
+        ipv6: 'ipv6',
+        hostname: 'hostname'
+    };
+
+    // Converts normalized field properties to the equivalent JSON Schema.
+    // Keywords without a JSON Schema equivalent (transforms, getters, etc) are not represented.
+    function propertiesToJSONSchema(properties) {
+        const jsonSchema = {};
+
+        switch (properties.type) {
+            case 'string':
+                jsonSchema.type = 'string';
+
+                const enumValidation = detectEnumValidation(properties);
+                if (_.isArray(enumValidation.value)) {
+                    jsonSchema.enum = enumValidation.value;
+                }
+
+                const minLength = detectCustomErrorMessage(properties, 'minLength');
+                if (minLength.value !== undefined) {
+                    jsonSchema.minLength = minLength.value;
+                }
+
+                const maxLength = detectCustomErrorMessage(properties, 'maxLength');
+                if (maxLength.value !== undefined) {
+                    jsonSchema.maxLength = maxLength.value;
+                }
+
+                // JSON Schema patterns have no flags, regexes with flags other than unicode are not represented.
+                const regex = detectCustomErrorMessage(properties, 'regex');
+                if (regex.value && (regex.value.flags === '' || regex.value.flags === 'u')) {
+                    jsonSchema.pattern = regex.value.source;
+                }
+
+                const stringFormat = detectCustomErrorMessage(properties, 'format');
+                if (_jsonSchemaStringFormats[stringFormat.value]) {
+                    jsonSchema.format = _jsonSchemaStringFormats[stringFormat.value];
+                }
+                break;
+
+            case 'number':
+                jsonSchema.type = 'number';
+
+                const min = detectCustomErrorMessage(properties, 'min');
+                if (min.value !== undefined) {
+                    jsonSchema.minimum = min.value;
+                }
+
+                const max = detectCustomErrorMessage(properties, 'max');
+                if (max.value !== undefined) {
+                    jsonSchema.maximum = max.value;
+                }
+
+                if (detectCustomErrorMessage(properties, 'integer').value) {
+                    jsonSchema.type = 'integer';
+                }
+
+                // Precision is only enforced when values aren't rounded.
+                const multipleOf = detectCustomErrorMessage(properties, 'multipleOf');
+                const precision = detectCustomErrorMessage(properties, 'precision');
+                if (multipleOf.value !== undefined) {
+                    jsonSchema.multipleOf = multipleOf.value;
+                } else if (precision.value !== undefined && !properties.round) {
+                    jsonSchema.multipleOf = shiftDecimal(1, -precision.value);
+                }
+
+                if (detectCustomErrorMessage(properties, 'positive').value) {
+                    jsonSchema.exclusiveMinimum = 0;
+                }
+                if (detectCustomErrorMessage(properties, 'nonNegative').value) {
+                    jsonSchema.minimum = Math.max(jsonSchema.minimum === undefined ? 0 : jsonSchema.minimum, 0);
+                }
+                break;
+
+            case 'union':
+                // The first matching type is used, so more than one type may match.
+                jsonSchema.anyOf = _.map(properties.oneOf, (type) => propertiesToJSONSchema(type));
+                break;
+
+            case 'bigint':
+                // BigInt is serialized by toJSON() as a string, since JSON numbers lose precision.
+                jsonSchema.type = 'string';
+                jsonSchema.pattern = '^-?\\d+$';
+                break;
+
+            case 'decimal':
+                jsonSchema.type = 'string';
+                jsonSchema.pattern = '^-?\\d+(\\.\\d+)?$';
+                break;
+
+            case 'boolean':
+                jsonSchema.type = 'boolean';
+                break;
+
+            case 'date':
+                // Dates are serialized by JSON.stringify as ISO 8601 strings.
+                jsonSchema.type = 'string';
+                jsonSchema.format = 'date-time';
+                break;
+
+            case 'buffer':
+                // Buffers are serialized by toJSON() as base64 strings.
+                jsonSchema.type = 'string';
+                jsonSchema.contentEncoding = 'base64';
+                break;
+
+            case 'array':
+                jsonSchema.type = 'array';
+
+                if (properties.items) {
+                    jsonSchema.prefixItems = _.map(properties.items, (type) => propertiesToJSONSchema(type));
+                    jsonSchema.items = properties.additionalItems ? propertiesToJSONSchema(properties.additionalItems) : false;
+                    jsonSchema.minItems = properties.minItems !== undefined ? properties.minItems : properties.items.length;
+                } else if (properties.arrayType) {
+                    jsonSchema.items = propertiesToJSONSchema(properties.arrayType);
+                }
+
+                if (properties.unique) {
+                    jsonSchema.uniqueItems = true;
+                }
+                break;
+
+            case 'set':
+                // Sets are serialized as arrays.
+                jsonSchema.type = 'array';
+                if (properties.values) {
+                    jsonSchema.items = propertiesToJSONSchema(properties.values);
+                }
+                jsonSchema.uniqueItems = true;
+                break;
+
+            case 'object':
+            case 'map':
+                // Each type requires its discriminator value.
+                if (properties.discriminator) {
+                    jsonSchema.type = 'object';
+                    jsonSchema.oneOf = _.map(properties.mapping, (objectType, tag) => {
+                        const subSchema = _.omit(objectType.toJSONSchema(), '$schema', 'type');
+                        subSchema.properties = _.extend({}, subSchema.properties, {
+                            [properties.discriminator]: _.extend({}, (subSchema.properties || {})[properties.discriminator], {const: tag})
+                        });
+                        subSchema.required = _.union(subSchema.required, [properties.discriminator]);
+                        return subSchema;
+                    });
+                } else if (properties.objectType && _.isFunction(properties.objectType.toJSONSchema)) {
+                    _.extend(jsonSchema, _.omit(properties.objectType.toJSONSchema(), '$schema'));
+                } else {
+                    jsonSchema.type = 'object';
+
+                    // Records have uniform values and keys.
+                    if (properties.keys) {
+                        jsonSchema.propertyNames = propertiesToJSONSchema(properties.keys);
+                    }
+                    if (properties.values) {
+                        jsonSchema.additionalProperties = propertiesToJSONSchema(properties.values);
+                    }
+                }
+                break;
+
+            default: // 'any' or a registered type
+                if (_customTypes[properties.type] && _customTypes[properties.type].toJSONSchema) {
+                    _.extend(jsonSchema, _customTypes[properties.type].toJSONSchema(properties));
+                }
+                break;
+        }
+
+        if (properties.default !== undefined && !_.isFunction(properties.default)) {
+            jsonSchema.default = _.isDate(properties.default) ? properties.default.toISOString() : properties.default;
+        }
+
+        if (properties.readOnly) {
+            jsonSchema.readOnly = true;
+        }
+
+        // Nullable fields also accept null.
+        if (properties.nullable && _.isString(jsonSchema.type)) {
+            jsonSchema.type = [jsonSchema.type, 'null'];
+        } else if (properties.nullable && jsonSchema.anyOf) {
+            jsonSchema.anyOf.push({type: 'null'});
+        }
+
+        return jsonSchema;
+    }
+
+    // Converts normalized field properties to a TypeScript type.
+    // Sub-schemas that were given a name are referenced by name, others are declared inline.
+    function propertiesToTypeScript(properties, schema, names, indent) {
+        // Nullable fields also accept null.
+        if (properties.nullable) {
+            return `${propertiesToTypeScript(_.omit(properties, 'nullable'), schema, names, indent)} | null`;
+        }
+
+        switch (properties.type) {
+            case 'string':
+                const enumValidation = detectEnumValidation(properties);
+                if (_.isArray(enumValidation.value) && enumValidation.value.length) {
+                    return _.map(enumValidation.value, (value) => JSON.stringify(value)).join(' | ');
+                }
+                return 'string';
+
+            case 'number':
+                return 'number';
+
+            case 'union':
+                return _.uniq(_.map(properties.oneOf, (type) => propertiesToTypeScript(type, schema, names, indent))).join(' | ');
+
+            case 'bigint':
+                return 'bigint';
+
+            case 'decimal':
+                return 'string';
+
+            case 'boolean':
+                return 'boolean';
+
+            case 'date':
+                return 'Date';
+
+            case 'buffer':
+                return 'Uint8Array';
+
+            case 'array':
+                if (properties.items) {
+                    const items = _.map(properties.items, (type) => propertiesToTypeScript(type, schema, names, indent));
+                    if (properties.additionalItems) {
+                        items.push(`...${propertiesToTypeScript(properties.additionalItems, schema, names, indent)}[]`);
+                    }
+                    return `[${items.join(', ')}]`;
+                }
+                if (properties.arrayType) {
+                    return `Array<${propertiesToTypeScript(properties.arrayType, schema, names, indent)}>`;
+                }
+                return 'any[]';
+
+            case 'set':
+                return `Set<${properties.values ? propertiesToTypeScript(properties.values, schema, names, indent) : 'any'}>`;
+
+            case 'map':
+                return `Map<string, ${properties.values ? propertiesToTypeScript(properties.values, schema, names, indent) : 'any'}>`;
+
+            case 'object':
+                if (properties.discriminator) {
+                    return _.uniq(_.map(properties.mapping, (objectType) => propertiesToTypeScript({
+                        type: 'object',
+                        objectType: objectType
+                    }, schema, names, indent))).join(' | ');
+                }
+                if (isSchemaObjectFactory(properties.objectType)) {
+                    const name = _.findKey(names, (SO) => SO === properties.objectType);
+                    if (name) {
+                        return name;
+                    }
+                    return schemaToTypeScript(properties.objectType, names, indent);
+                }
+                if (properties.values) {
+                    return `{ [key: string]: ${propertiesToTypeScript(properties.values, schema, names, indent)} }`;
+                }
+                return '{ [key: string]: any }';
+
+            case 'alias':
+                // Aliases read and write the value of the aliased field.
+                if (schema[properties.index]) {
+                    return propertiesToTypeScript(schema[properties.index], schema, names, indent);
+                }
+                return 'any';
+
+            default: // 'any'
+                return 'any';
+        }
+    }
+
+    // Converts the schema of a SchemaObject factory to a TypeScript object type.
+    function schemaToTypeScript(SO, names, indent) {
+        const schema = SO[_privateKey]._schema;
+        const lines = [];
+
+        _.each(schema, (properties, index) => {
+            // Aliases share the type and optionality of the aliased field.
+            const valueProperties = properties.type === 'alias' && schema[properties.index] ? schema[properties.index] : properties;
+            const required = _.isArray(valueProperties.required) ? valueProperties.required[0] : valueProperties.required;
+
+            // Objects, arrays, Sets and Maps are always initialized, except discriminated objects.
+            const optional = (valueProperties.type !== 'object' || !!valueProperties.discriminator) &&
+                !_.includes(['array', 'set', 'map'], valueProperties.type) && required !== true && valueProperties.default === undefined;
+
+            const key = /^[A-Za-z_$][\w$]*$/.test(index) ? index : JSON.stringify(index);
+            const type = propertiesToTypeScript(properties, schema, names, indent + '    ');
+
+            lines.push(`${indent}    ${properties.readOnly ? 'readonly ' : ''}${key}${optional ? '?' : ''}: ${type};`);
+        });
+
+        if (!lines.length) {
+            return '{}';
+        }
+
+        return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+
+    // JSON Schema keywords that only annotate a schema and are ignored when importing.
+    const _jsonSchemaAnnotations = ['$schema', '$id', '$comment', '$defs', 'definitions', 'title', 'description',
+        'examples', 'deprecated', 'writeOnly'];
+
+    // Resolves a local JSON Pointer reference ("#/$defs/Name") against the root JSON Schema document.
+    function resolveJSONSchemaRef(ref, context) {
+        if (!_.isString(ref) || ref.charAt(0) !== '#') {
+            throw new Error(`[schema-object] Only local JSON Schema references are supported, got "${ref}".`);
+        }
+
+        let target = context.root;
+        for (const token of ref.substr(1).split('/').slice(1)) {
+            const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+            if (!_.isObject(target) || target[key] === undefined) {
+                throw new Error(`[schema-object] Could not resolve JSON Schema reference "${ref}".`);
+            }
+            target = target[key];
+        }
+
+        return target;
+    }
+
+    // Converts JSON Schema "properties" and "required" keywords to a SchemaObject schema.
+    function jsonSchemaToSchema(jsonSchema, path, context) {
+        const schema = {};
+
+        _.each(jsonSchema.properties, (propertySchema, name) => {
+            schema[name] = jsonSchemaToProperties(propertySchema, `${path}/properties/${name}`, context);
+        });
+
+        _.each(jsonSchema.required, (name) => {
+            if (!schema[name]) {
+                context.report('required', `${path}/required`, name);
+                return;
+            }
+
+            // Properties may be shared through $ref and must not be modified.
+            schema[name] = _.extend({}, schema[name], {
+                required: true
+            });
+        });
+
+        return schema;
+    }
+
+    // Converts a JSON Schema document to SchemaObject field properties.
+    function jsonSchemaToProperties(jsonSchema, path, context) {
+        // Boolean schemas and empty schemas accept any value.
+        if (jsonSchema === true || _.isEmpty(jsonSchema)) {
+            return {
+                type: 'any'
+            };
+        }
+
+        if (jsonSchema.$ref !== undefined) {
+            const ref = jsonSchema.$ref;
+            if (context.resolving[ref]) {
+                throw new Error(`[schema-object] Recursive JSON Schema reference "${ref}" is not supported.`);
+            }
+
+            // Each definition is only converted once, so all references share the same sub-schema.
+            if (!context.refs[ref]) {
+                context.resolving[ref] = true;
+                context.refs[ref] = jsonSchemaToProperties(resolveJSONSchemaRef(ref, context), ref, context);
+                delete context.resolving[ref];
+            }
+
+            const properties = _.clone(context.refs[ref]);
+            _.each(jsonSchema, (value, keyword) => {
+                if (keyword === 'default') {
+                    properties.default = value;
+                } else if (keyword !== '$ref' && _jsonSchemaAnnotations.indexOf(keyword) === -1) {
+                    context.report(keyword, path, value);
+                }
+            });
+            return properties;
+        }
+
+        // Type can be omitted when it's implied by the keywords used.
+        let type = jsonSchema.type;
+        if (type === undefined) {
+            if (jsonSchema.properties !== undefined) {
+                type = 'object';
+            } else if (jsonSchema.items !== undefined) {
+                type = 'array';
+            }
+        }
+
+        const properties = {};
+        switch (type) {
+            case 'string':
+                properties.type = (jsonSchema.format === 'date-time' || jsonSchema.format === 'date') ? Date :
+                    jsonSchema.contentEncoding === 'base64' ? 'buffer' : String;
+                break;
+            case 'number':
+            case 'integer':
+                properties.type = Number;
+                if (type === 'integer') {
+                    properties.integer = true;
+                }
+                break;
+            case 'boolean':
+                properties.type = Boolean;
+                break;
+            case 'array':
+                properties.type = Array;
+                break;
+            case 'object':
+                if (jsonSchema.properties !== undefined) {
+                    // Options should be inherited by sub-SchemaObjects, except toObject and validate.
+                    const options = _.clone(context.options);
+                    delete options.toObject;
+                    delete options.validate;
+                    options.inheritRootThis = true;
+
+                    properties.type = new SchemaObject(jsonSchemaToSchema(jsonSchema, path, context), options);
+                } else {
+                    properties.type = Object;
+                }
+                break;
+            case undefined:
+                properties.type = 'any';
+                break;
+            default:
+                // Type lists ("type": ["string", "null"]) and the "null" type have no SchemaObject equivalent.
+                context.report('type', path, type);
+                properties.type = 'any';
+                break;
+        }
+
+        _.each(jsonSchema, (value, keyword) => {
+            switch (keyword) {
+                case 'type':
+                    return;
+                case 'properties':
+                case 'required':
+                    if (type !== 'object') {
+                        context.report(keyword, path, value);
+                    }
+                    return;
+                case 'additionalProperties':
+                    // Objects without properties are records when additional properties have a schema.
+                    if (type === 'object' && jsonSchema.properties === undefined && _.isPlainObject(value)) {
+                        properties.values = jsonSchemaToProperties(value, `${path}/additionalProperties`, context);
+                        return;
+                    }
+
+                    // Unknown keys are only kept when strict mode is off.
+                    if (value !== (context.options.strict === false)) {
+                        context.report(keyword, path, value);
+                    }
+                    return;
+                case 'items':
+                    if (type === 'array' && _.isArray(jsonSchema.prefixItems) && (value === false || _.isPlainObject(value) || value === true)) {
+                        // Items after the tuple positions are additional elements.
+                        if (value !== false) {
+                            properties.additionalItems = jsonSchemaToProperties(value, `${path}/items`, context);
+                        }
+                    } else if (type !== 'array' || _.isArray(value) || (!_.isObject(value) && value !== true)) {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties.arrayType = jsonSchemaToProperties(value, `${path}/items`, context);
+                    }
+                    return;
+                case 'prefixItems':
+                    if (type !== 'array' || !_.isArray(value) || !value.length) {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties.items = _.map(value, (item, i) => jsonSchemaToProperties(item, `${path}/prefixItems/${i}`, context));
+                        if (jsonSchema.items === undefined) {
+                            properties.additionalItems = true;
+                        }
+                    }
+                    return;
+                case 'minItems':
+                    if (type !== 'array' || !_.isArray(jsonSchema.prefixItems)) {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties.minItems = value;
+                    }
+                    return;
+                case 'propertyNames':
+                    if (type !== 'object' || jsonSchema.properties !== undefined || !_.isPlainObject(value) ||
+                        value.type !== undefined && value.type !== 'string') {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties.keys = jsonSchemaToProperties(_.extend({type: 'string'}, value), `${path}/propertyNames`, context);
+                    }
+                    return;
+                case 'uniqueItems':
+                    properties.unique = value;
+                    return;
+                case 'format':
+                    const stringFormat = _.findKey(_jsonSchemaStringFormats, (jsonSchemaFormat) => jsonSchemaFormat === value);
+                    if (properties.type === String && stringFormat) {
+                        properties.format = stringFormat;
+                    } else if (properties.type !== Date) {
+                        context.report(keyword, path, value);
+                    }
+                    return;
+                case 'contentEncoding':
+                    if (properties.type !== 'buffer') {
+                        context.report(keyword, path, value);
+                    }
+                    return;
+                case 'enum':
+                case 'pattern':
+                case 'minLength':
+                case 'maxLength':
+                    if (properties.type !== String) {
+                        context.report(keyword, path, value);
+                    } else if (keyword === 'pattern') {
+                        properties.regex = new RegExp(value);
+                    } else {
+                        properties[keyword] = value;
+                    }
+                    return;
+                case 'minimum':
+                case 'maximum':
+                    if (properties.type !== Number) {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties[keyword === 'minimum' ? 'min' : 'max'] = value;
+                    }
+                    return;
+                case 'multipleOf':
+                    if (properties.type !== Number) {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties.multipleOf = value;
+                    }
+                    return;
+                case 'exclusiveMinimum':
+                    // Only "greater than zero" has a SchemaObject equivalent.
+                    if (properties.type !== Number || value !== 0) {
+                        context.report(keyword, path, value);
+                    } else {
+                        properties.positive = true;
+                    }
+                    return;
+                case 'default':
+                case 'readOnly':
+                    properties[keyword] = value;
+                    return;
+                default:
+                    if (_jsonSchemaAnnotations.indexOf(keyword) === -1) {
+                        context.report(keyword, path, value);
+                    }
+                    return;
+            }
+        });
+
+        return properties;
+    }
 
-                // Properties hash passed.
-                // Copy properties hash before modifying.
-                // Users can pass in their own custom types to the schema and we don't want to write to that object.
-                // Especially since properties.name contains the index of our field and copying that will break functionality.
-            } else {
-                properties = _.cloneDeep(properties);
+    // Add field to schema and initializes getter and setter for the field.
+    // The schema is shared by all instances, so the getter and setter are defined on the prototype.
+    function addToSchema(index, properties) {
+        this[_privateKey]._schema[index] = normalizeProperties.call(this, properties, index);
+
+        defineGetter.call(Object.getPrototypeOf(this[_privateKey]._getset), index, this[_privateKey]._schema[index]);
+        defineSetter.call(Object.getPrototypeOf(this[_privateKey]._getset), index, this[_privateKey]._schema[index]);
+    }
+
+    // Defines getter for specific field.
+    // Getters are defined once on the prototype and are called with the instance as "this".
+    function defineGetter(index, properties) {
+        // If the field type is an alias, we retrieve the value through the alias's index.
+        let indexOrAliasIndex = properties.type === 'alias' ? properties.index : index;
+
+        this.__defineGetter__(index, function () {
+            // If accessing object or array, lazy initialize if not set.
+            // Discriminated objects are only set with a value, since their type depends on it.
+            // Nullable fields keep null.
+            const rawValue = this[_privateKey]._obj[indexOrAliasIndex];
+            if (!rawValue && !(rawValue === null && properties.nullable) && (properties.type === 'object' && !properties.discriminator ||
+                properties.type === 'array' || properties.type === 'set' || properties.type === 'map')) {
+                // Initialize object.
+                if (properties.type === 'object') {
+                    if (properties.default !== undefined) {
+                        writeValue.call(this[_privateKey]._this, _.isFunction(properties.default) ?
+                            properties.default.call(this) :
+                            properties.default, properties);
+                    } else if (properties.values || properties.keys) {
+                        // Records typecast values set afterwards.
+                        writeValue.call(this[_privateKey]._this, typecastRecord.call(this, {}, undefined, properties), properties);
+                    } else {
+                        writeValue.call(this[_privateKey]._this,
+                            properties.objectType ? new properties.objectType({}, this[_privateKey]._root) : {}, properties);
+                    }
+
+                    // Native arrays are not used so that Array class can be extended with custom behaviors.
+                } else if (properties.type === 'array') {
+                    writeValue.call(this[_privateKey]._this, new SchemaArray(this, properties), properties);
+
+                    // Native Sets and Maps are extended to typecast values that are added.
+                } else if (properties.type === 'set') {
+                    writeValue.call(this[_privateKey]._this, new SchemaSet(this, properties), properties);
+                } else if (properties.type === 'map') {
+                    writeValue.call(this[_privateKey]._this, new SchemaMap(this, properties), properties);
+                }
+            }
+
+            try {
+                return getter.call(this, this[_privateKey]._obj[indexOrAliasIndex], properties);
+            } catch (error) {
+                // This typically happens when the default value isn't valid -- log error.
+                this[_privateKey]._errors.push(error);
+            }
+        });
+    }
+
+    // Defines setter for specific field.
+    // Setters are defined once on the prototype and are called with the instance as "this".
+    function defineSetter(index, properties) {
+        this.__defineSetter__(index, function (value) {
+            // Don't proceed if readOnly is true.
+            if (properties.readOnly) {
+                return;
+            }
+
+            try {
+                // this[_privateKey]._this[index] is used instead of this[_privateKey]._obj[index] to route through the public interface.
+                writeValue.call(this[_privateKey]._this,
+                    typecast.call(this, value, this[_privateKey]._this[index], properties), properties);
+            } catch (error) {
+                // Setter failed to validate value -- log error.
+                this[_privateKey]._errors.push(error);
             }
+        });
+    }
+
+    // Reset field to default value.
+    function clearField(index, properties) {
+        // Aliased fields reflect values on other fields and do not need to be cleared.
+        if (properties.isAlias === true) {
+            return;
         }
 
-        // Type may be an object with properties.
-        // If "type.type" exists, we'll assume it's meant to be properties.
-        // This means that shorthand objects can't use the "type" index.
-        // If "type" is necessary, they must be wrapped in a SchemaObject.
-        if (_.isObject(properties.type) && properties.type.type !== undefined) {
-            _.each(properties.type, (value, key) => {
-                if (properties[key] === undefined) {
-                    properties[key] = value;
+        // Nullable objects and arrays set to null are initialized again when accessed.
+        if (this[_privateKey]._obj[properties.name] === null && properties.nullable) {
+            writeValue.call(this[_privateKey]._this, undefined, properties);
+
+            // In case of object & array, they must be initialized immediately.
+            // Records are replaced when set and are initialized again when accessed.
+        } else if (properties.type === 'object' && !properties.discriminator && !properties.values && !properties.keys) {
+            this[properties.name].clear();
+
+            // Native arrays are never used so that toArray can be globally supported.
+            // Additionally, other properties such as unique rely on passing through SchemaObject.
+        } else if (properties.type === 'array') {
+            this[properties.name].length = 0;
+        } else if (properties.type === 'set' || properties.type === 'map') {
+            this[properties.name].clear();
+
+            // Other field types can simply have their value set to undefined.
+        } else {
+            writeValue.call(this[_privateKey]._this, undefined, properties);
+
+            // Union fields no longer have a matched type.
+            delete this[_privateKey]._unionBranches[properties.name];
+        }
+    }
+
+    // Name error of a sub-object or array element from the parent field.
+    // Field schema is shared with the sub-schema and must not be renamed in place.
+    // Errors of the sub-object itself are named after the parent field.
+    function prefixErrorName(error, name) {
+        error.fieldSchema = _.extend({}, error.fieldSchema, {
+            name: error.fieldSchema.name ? `${name}.${error.fieldSchema.name}` : name
+        });
+        return error;
+    }
+
+    // Evaluate object-level validation rules with "this" as the object.
+    // Rules return false, an error message, or errors attached to fields ({errorMessage, fields}) to reject the object.
+    function validateRules(schema, options) {
+        const errors = [];
+        if (!options.validate) {
+            return errors;
+        }
+
+        const named = !_.isFunction(options.validate) && !_.isArray(options.validate);
+        const rules = _.isFunction(options.validate) ? [options.validate] : options.validate;
+
+        _.each(rules, (rule, name) => {
+            let results = rule.call(this);
+            if (!_.isArray(results)) {
+                results = [results];
+            }
+
+            _.each(results, (result) => {
+                if (result !== false && !_.isString(result) && !_.isPlainObject(result)) {
+                    return;
+                }
+
+                const errorMessage = _.isPlainObject(result) ? result.errorMessage : result || undefined;
+                const fields = _.isPlainObject(result) && result.fields !== undefined ? _.castArray(result.fields) : [''];
+
+                for (const field of fields) {
+                    const value = field ? this[field] : undefined;
+                    const error = new RuleValidationError(errorMessage, value, value, schema[field] || {
+                        name: field
+                    });
+
+                    if (named) {
+                        error.rule = name;
+                    }
+                    errors.push(error);
                 }
             });
-            properties.type = properties.type.type;
+        });
+
+        return errors;
+    }
+
+    // Run asynchronous transforms and validators of an instance, its sub-objects and array elements.
+    // Transforms run first so validators see transformed values.
+    // Errors replace the ones from the previous run. Rejected promises are not caught.
+    function runAsync() {
+        const _private = this[_privateKey];
+        const self = _private._this;
+
+        const transforms = _.map(_private._schema, (properties, index) => {
+            let promise = Promise.resolve();
+
+            if (properties.transformAsync && self[index] !== undefined) {
+                promise = promise
+                    .then(() => properties.transformAsync.call(_private._root, self[index], properties))
+                    .then((value) => {
+                        self[index] = value;
+                    });
+            }
+
+            // Array elements are transformed and written back through the setter to be typecast.
+            if (properties.type === 'array' && properties.arrayType && properties.arrayType.transformAsync) {
+                promise = promise
+                    .then(() => Promise.all(_.map(self[index], (element) => {
+                        return properties.arrayType.transformAsync.call(_private._root, element, properties.arrayType);
+                    })))
+                    .then((values) => {
+                        self[index] = values;
+                    });
+            }
+
+            return promise;
+        });
+
+        return Promise.all(transforms).then(() => Promise.all(_.map(_private._schema, (properties, index) => {
+            const value = self[index];
+            const validations = [];
+
+            if (properties.validateAsync && value !== undefined) {
+                validations.push(validateAsyncValue.call(_private._root, value, properties, properties));
+            }
+
+            // Union fields hold a sub-object when a sub-schema type matched.
+            if ((isSubSchema(properties) || properties.oneOf) && value && value._isSchemaObject) {
+                validations.push(runAsync.call(value).then(() => []));
+            }
+
+            // Errors of record values are collected with the errors of sub-objects.
+            if (isSubSchemaRecord(properties) && value) {
+                _.each(recordEntries(value), (entry) => {
+                    if (entry[1] && entry[1]._isSchemaObject) {
+                        validations.push(runAsync.call(entry[1]).then(() => []));
+                    }
+                });
+            }
+
+            if (properties.type === 'array' && (properties.arrayType || properties.items)) {
+                _.each(value, (element, i) => {
+                    const name = `${index}.${i}`;
+                    const arrayType = properties.items ? properties.items[i] || properties.additionalItems : properties.arrayType;
+
+                    if (arrayType.validateAsync && element !== undefined) {
+                        validations.push(validateAsyncValue.call(_private._root, element, arrayType,
+                            _.extend({}, arrayType, {name})));
+                    }
+
+                    // Errors of array elements aren't reported by getErrors(), asynchronous errors are kept by the array owner.
+                    if (isSubSchema(arrayType) && element) {
+                        validations.push(runAsync.call(element).then(() => {
+                            return _.map(collectAsyncErrors.call(element), (error) => prefixErrorName(error, name));
+                        }));
+                    }
+                });
+            }
+
+            return Promise.all(validations);
+        }))).then((errors) => {
+            _private._asyncErrors = _.flattenDeep(errors);
+        });
+    }
+
+    // Resolves with an error if the asynchronous validator rejects the value.
+    // Validators resolve with false or an error message when the value is invalid.
+    function validateAsyncValue(value, properties, fieldSchema) {
+        const validateAsync = detectCustomErrorMessage(properties, 'validateAsync');
+
+        return Promise.resolve(validateAsync.value.call(this, value, properties)).then((result) => {
+            if (result === false || _.isString(result)) {
+                return [new AsyncValidationError(_.isString(result) ? result : validateAsync.errorMessage,
+                    value, value, fieldSchema)];
+            }
+            return [];
+        });
+    }
+
+    // Asynchronous errors of an instance and its sub-objects, named from the instance.
+    function collectAsyncErrors() {
+        const _private = this[_privateKey];
+        let errors = _.clone(_private._asyncErrors);
+
+        eachSubObject.call(this, (subObject, name) => {
+            errors = errors.concat(_.map(collectAsyncErrors.call(subObject), (error) => prefixErrorName(error, name)));
+        });
+
+        return _.map(errors, (error) => _.clone(error));
+    }
+
+    // Properties of array elements, tuples have properties for each position.
+    // Elements past the tuple positions use additionalItems, or are rejected.
+    function arrayElementProperties(properties, index, value) {
+        if (!properties.items) {
+            return properties.arrayType;
+        }
+        if (index < properties.items.length) {
+            return properties.items[index];
         }
+        if (!properties.additionalItems) {
+            throw new ArrayLengthValidationError('Array has too many elements to meet tuple requirement.', value, undefined, properties);
+        }
+        return properties.additionalItems;
+    }
 
-        // Null or undefined should be flexible and allow any value.
-        if (properties.type === null || properties.type === undefined) {
-            properties.type = 'any';
+    // Typecast array element at a position, errors of tuple elements are named after their position.
+    function typecastArrayElement(value, properties, index) {
+        const elementProperties = arrayElementProperties(properties, index, value);
+        try {
+            return elementProperties ? typecast.call(this, value, undefined, elementProperties) : value;
+        } catch (error) {
+            throw properties.items ? prefixErrorName(error, properties.name !== undefined ? `${properties.name}.${index}` : `${index}`) : error;
+        }
+    }
 
-            // Convert object representation of type to lowercase string.
-            // String is converted to 'string', Number to 'number', etc.
-            // Do not convert the initialized SchemaObjectInstance to a string!
-            // Check for a shorthand declaration of schema by key length.
-        } else if (_.isString(properties.type.name) && properties.type.name !== 'SchemaObjectInstance' &&
-            Object.keys(properties.type).length === 0) {
-            properties.type = properties.type.name;
+    // Reject tuples that have fewer elements than minItems, or all of the tuple positions by default.
+    function checkTupleLength(array, value, originalValue, properties) {
+        if (properties.items && array.length && array.length < (properties.minItems !== undefined ? properties.minItems : properties.items.length)) {
+            throw new ArrayLengthValidationError('Array has too few elements to meet tuple requirement.', value, originalValue, properties);
         }
-        if (_.isString(properties.type)) {
-            properties.type = properties.type.toLowerCase();
+    }
+
+    // Typecast array elements into a plain array, like pushing them to a SchemaArray.
+    function typecastPlainArray(value, properties, array) {
+        const values = typecastType.call(this, value, [], properties);
+
+        // Nullable arrays keep null.
+        if (values === null) {
+            return null;
         }
+        checkTupleLength(values, values, value, properties);
+        _.each(values, (element) => {
+            const index = array.length;
+            const elementProperties = arrayElementProperties(properties, index, element);
+            try {
+                if (elementProperties) {
+                    element = typecastType.call(this, element, undefined, elementProperties);
+
+                    // Array elements are new instances, their errors are not reported by the parent.
+                    if (isSubSchema(elementProperties)) {
+                        const objectType = subObjectType(element, undefined, elementProperties);
+                        element = validatePlain(element, objectType[_privateKey]._schema,
+                            objectType[_privateKey]._options, this[_privateKey]._root, true).value;
+                    }
+                    customValidate.call(this, element, undefined, elementProperties);
+                }
+            } catch (error) {
+                throw properties.items ? prefixErrorName(error, properties.name !== undefined ? `${properties.name}.${index}` : `${index}`) : error;
+            }
+            if (properties.filter && !properties.filter.call(array, element)) {
+                return;
+            }
+            if (properties.unique && _.includes(array, element)) {
+                return;
+            }
+            array.push(element);
+        });
+        customValidate.call(this, array, array, properties);
 
-        // index: [Type] or index: [] is translated to index: {type: Array, arrayType: Type}
-        if (_.isArray(properties.type)) {
-            if (_.size(properties.type)) {
-                // Properties will be normalized when array is initialized.
-                properties.arrayType = properties.type[0];
+        return array;
+    }
+
+    // Typecast and validate plain values against a compiled schema without creating an instance.
+    // Produces the same value and errors as populating a new instance and reading it with toObject() and getErrors().
+    // Sub-schema defaults are only applied to sub-objects that aren't provided, like an instance clearing them when set.
+    function validatePlain(values, schema, options, root, applyDefaults) {
+        // Raw values, also used as "this" by transforms, getters and required functions.
+        const obj = {};
+        const errors = [];
+        const subErrors = {};
+        let fields = schema;
+
+        // Typecast expects an instance-like context.
+        const context = {
+            [_privateKey]: {
+                _root: options.inheritRootThis && root ? root : obj,
+                _schema: schema,
+                _options: options,
+                _plain: true,
+                _subErrors: subErrors
             }
-            properties.type = 'array';
+        };
+        root = context[_privateKey]._root;
+
+        // Validate sub-object with the sub-schema, keeping errors to report them with the field name.
+        function validateObject(value, properties, subApplyDefaults) {
+            const objectType = subObjectType(value, undefined, properties);
+            const result = validatePlain(value, objectType[_privateKey]._schema,
+                objectType[_privateKey]._options, root, subApplyDefaults);
+            subErrors[properties.name] = (subErrors[properties.name] || []).concat(result.errors);
+            return result.value;
         }
 
-        // index: {} or index: SchemaObject is translated to index: {type: Object, objectType: Type}
-        if (!_.isString(properties.type)) {
-            if (_.isFunction(properties.type)) {
-                properties.objectType = properties.type;
-                properties.type = 'object';
-            } else if (_.isObject(properties.type)) {
-                // When an empty object is passed, no schema is enforced.
-                if (_.size(properties.type)) {
-                    // Options should be inherited by sub-SchemaObjects, except toObject.
-                    const options = _.clone(this[_privateKey]._options);
-                    delete options.toObject;
+        function set(index, value) {
+            const properties = fields[index];
+            try {
+                // Custom validators of arrays and objects run once elements and sub-objects are cast.
+                // Like an instance, the array or object keeps its new values when rejected.
+                if (properties.type === 'array') {
+                    // Elements are cast one at a time, so elements before a rejected one are kept.
+                    obj[index] = [];
+                    obj[index] = typecastPlainArray.call(context, value, properties, obj[index]);
+                    return;
+                }
 
-                    // When we're creating a nested schema automatically, it should always inherit the root "this".
-                    options.inheritRootThis = true;
+                // Discriminated objects are new instances, with defaults.
+                if (isSubSchema(properties)) {
+                    const originalValue = obj[index];
+                    value = typecastType.call(context, value, originalValue, properties);
 
-                    // Initialize the SchemaObject sub-schema automatically.
-                    properties.objectType = new SchemaObject(properties.type, options);
+                    // Nullable sub-objects keep null.
+                    if (value === null) {
+                        obj[index] = null;
+                        return;
+                    }
+                    value = obj[index] = validateObject(value, properties, !!properties.discriminator);
+                    customValidate.call(context, value, value, properties);
+                    return;
+                }
+
+                value = typecast.call(context, value, obj[index], properties);
+
+                // Alias writes the value through the aliased field.
+                if (properties.type === 'alias') {
+                    if (!fields[properties.index].readOnly) {
+                        set(properties.index, value);
+                    }
+                    return;
+                }
+
+                obj[index] = value;
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        // Populate schema defaults.
+        if (applyDefaults) {
+            _.each(fields, (properties, index) => {
+                if (properties.default !== undefined) {
+                    set(index, _.isFunction(properties.default) ? properties.default.call(obj) : properties.default);
+                }
+            });
+        }
+
+        // Populate values.
+        for (let index in values) {
+            // Keep the key of the values, index may be rewritten to the schema key.
+            const key = index;
+            if (options.keysIgnoreCase && !fields[index]) {
+                index = getIndex.call(context, index);
+            }
+
+            if (!fields[index]) {
+                if (options.strict) {
+                    continue;
+                }
+
+                // Unknown fields are kept as type "any" without modifying the schema.
+                if (fields === schema) {
+                    fields = _.clone(schema);
                 }
+                fields[index] = {
+                    type: 'any',
+                    name: index
+                };
+            }
 
-                // Regardless of if we created a sub-schema or not, the field is indexed as an object.
-                properties.type = 'object';
+            if (!fields[index].readOnly) {
+                set(index, values[key]);
             }
         }
 
-        // Set name if passed on properties.
-        // It's used to show what field an error what generated on.
-        if (name) {
-            properties.name = name;
-        }
+        // Sub-objects that weren't provided are initialized like an instance initializes them on access.
+        _.each(fields, (properties, index) => {
+            if (properties.type === 'object' && properties.objectType && !properties.discriminator && obj[index] === undefined) {
+                obj[index] = validateObject({}, properties, applyDefaults);
+            }
+        });
 
-        return properties;
-    }
+        // Read values like the getters would.
+        const current = {};
+        _.each(fields, (properties, index) => {
+            try {
+                current[index] = getter.call(context, obj[properties.type === 'alias' ? properties.index : index], properties);
+            } catch (error) {
+                errors.push(error);
+            }
+        });
 
-    // Add field to schema and initializes getter and setter for the field.
-    function addToSchema(index, properties) {
-        this[_privateKey]._schema[index] = normalizeProperties.call(this, properties, index);
+        // Check required fields.
+        _.each(fields, (properties, index) => {
+            let required = properties.required;
+            let message = `${index} is required but not provided`;
 
-        defineGetter.call(this[_privateKey]._getset, index, this[_privateKey]._schema[index]);
-        defineSetter.call(this[_privateKey]._getset, index, this[_privateKey]._schema[index]);
-    }
+            if (Array.isArray(required)) {
+                message = required[1] || message;
+                required = required[0];
+            }
 
-    // Defines getter for specific field.
-    function defineGetter(index, properties) {
-        // If the field type is an alias, we retrieve the value through the alias's index.
-        let indexOrAliasIndex = properties.type === 'alias' ? properties.index : index;
+            // Objects, arrays, Sets and Maps are always initialized.
+            if (!required || properties.type === 'object' || properties.type === 'array' ||
+                properties.type === 'set' || properties.type === 'map') {
+                return;
+            } else if (typeof required === 'function' && !required.call(obj)) {
+                return;
+            }
 
-        this.__defineGetter__(index, () => {
-            // If accessing object or array, lazy initialize if not set.
-            if (!this[_privateKey]._obj[indexOrAliasIndex] && (properties.type === 'object' || properties.type === 'array')) {
-                // Initialize object.
-                if (properties.type === 'object') {
-                    if (properties.default !== undefined) {
-                        writeValue.call(this[_privateKey]._this, _.isFunction(properties.default) ?
-                            properties.default.call(this) :
-                            properties.default, properties);
-                    } else {
-                        writeValue.call(this[_privateKey]._this,
-                            properties.objectType ? new properties.objectType({}, this[_privateKey]._root) : {}, properties);
-                    }
+            const value = current[index];
+            if (value || typeof value === 'boolean' || value === null && properties.nullable ||
+                options.allowFalsyValues && value !== undefined) {
+                return;
+            }
 
-                    // Native arrays are not used so that Array class can be extended with custom behaviors.
-                } else if (properties.type === 'array') {
-                    writeValue.call(this[_privateKey]._this, new SchemaArray(this, properties), properties);
-                }
+            errors.push(new SetterError(message, value, value, properties));
+        });
+
+        // Tuples left short by a rejected element are reported like getErrors() reports them.
+        _.each(fields, (properties, index) => {
+            if (properties.type !== 'array' || !properties.items || !obj[index]) {
+                return;
             }
 
             try {
-                return getter.call(this, this[_privateKey]._obj[indexOrAliasIndex], properties);
+                checkTupleLength(obj[index], obj[index], obj[index], properties);
             } catch (error) {
-                // This typically happens when the default value isn't valid -- log error.
-                this[_privateKey]._errors.push(error);
+                errors.push(error);
             }
         });
-    }
 
-    // Defines setter for specific field.
-    function defineSetter(index, properties) {
-        this.__defineSetter__(index, (value) => {
-            // Don't proceed if readOnly is true.
-            if (properties.readOnly) {
+        // Object-level validation rules.
+        errors.push(...validateRules.call(obj, fields, options));
+
+        // Report sub-schema errors with the field name.
+        _.each(fields, (properties, index) => {
+            _.each(subErrors[index], (subError) => {
+                errors.push(prefixErrorName(subError, index));
+            });
+        });
+
+        // Output values like toObject().
+        const plain = {};
+        _.each(fields, (properties, index) => {
+            if (properties.invisible) {
                 return;
             }
 
-            try {
-                // this[_privateKey]._this[index] is used instead of this[_privateKey]._obj[index] to route through the public interface.
-                writeValue.call(this[_privateKey]._this,
-                    typecast.call(this, value, this[_privateKey]._this[index], properties), properties);
-            } catch (error) {
-                // Setter failed to validate value -- log error.
-                this[_privateKey]._errors.push(error);
+            let value = current[index];
+            if (value === undefined && options.setUndefined !== true) {
+                return;
             }
-        });
-    }
 
-    // Reset field to default value.
-    function clearField(index, properties) {
-        // Aliased fields reflect values on other fields and do not need to be cleared.
-        if (properties.isAlias === true) {
-            return;
-        }
+            if (_customTypes[properties.type]) {
+                value = customTypeToObject(value, properties);
+            } else if (properties.values && _.isPlainObject(value) || value instanceof SchemaSet || value instanceof SchemaMap) {
+                value = collectionToObject(value, properties);
+                if (!options.setUndefined && !_.size(value)) {
+                    return;
+                }
+            } else if (_.isObject(value)) {
+                if (_.isDate(value)) {
+                    value = new Date(value.getTime());
+                } else {
+                    value = _.clone(value);
+                }
 
-        // In case of object & array, they must be initialized immediately.
-        if (properties.type === 'object') {
-            this[properties.name].clear();
+                // Don't write empty objects or arrays.
+                if (!_.isDate(value) && !options.setUndefined && !_.size(value)) {
+                    return;
+                }
+            }
 
-            // Native arrays are never used so that toArray can be globally supported.
-            // Additionally, other properties such as unique rely on passing through SchemaObject.
-        } else if (properties.type === 'array') {
-            this[properties.name].length = 0;
+            plain[index] = value;
+        });
 
-            // Other field types can simply have their value set to undefined.
-        } else {
-            writeValue.call(this[_privateKey]._this, undefined, properties);
+        return {
+            value: plain,
+            errors: errors
+        };
+    }
+
+    // Convert values that JSON.stringify can't serialize, BigInt is written as a string.
+    function toJSONValue(value) {
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        else if (value instanceof Uint8Array) {
+            return encodeBase64(value);
         }
+        else if (_.isArray(value)) {
+            return _.map(value, toJSONValue);
+        }
+        else if (_.isPlainObject(value)) {
+            return _.mapValues(value, toJSONValue);
+        }
+
+        return value;
     }
 
     // Represents a basic array with typecasted values.
@@ -781,21 +3666,18 @@
             _private._self = self;
 
             // Store properties (arrayType, unique, etc).
+            // Properties, including arrayType, are normalized when the schema is compiled.
             _private._properties = properties;
-
-            // Normalize our own properties.
-            if (!!properties && ("arrayType" in properties)) {
-                properties.arrayType = normalizeProperties.call(self, properties.arrayType);
-            }
         }
 
         push(...args) {
             // Values are passed through the typecast before being allowed onto the array if arrayType is set.
             // In the case of rejection, the typecast returns undefined, which is not appended to the array.
+            // Tuple elements are typecast with the properties of their position.
             let values;
-            if (this[_privateKey]._properties.arrayType) {
-                values = [].map.call(args, (value) => {
-                    return typecast.call(this[_privateKey]._self, value, undefined, this[_privateKey]._properties.arrayType);
+            if (this[_privateKey]._properties.arrayType || this[_privateKey]._properties.items) {
+                values = [].map.call(args, (value, i) => {
+                    return typecastArrayElement.call(this[_privateKey]._self, value, this[_privateKey]._properties, this.length + i);
                 }, this);
             } else {
                 values = args;
@@ -841,9 +3723,16 @@
             const array = [];
 
             // Loop through each element, clone if necessary.
-            _.each(this, (element) => {
-                // Call toObject() method if defined (this allows us to return primitive objects instead of SchemaObjects).
-                if (_.isObject(element) && _.isFunction(element.toObject)) {
+            const properties = this[_privateKey]._properties;
+            _.each(this, (element, i) => {
+                const arrayType = properties.items ? properties.items[i] || properties.additionalItems : properties.arrayType;
+
+                // Registered types are serialized by the type.
+                if (arrayType && _customTypes[arrayType.type]) {
+                    element = customTypeToObject(element, arrayType);
+
+                    // Call toObject() method if defined (this allows us to return primitive objects instead of SchemaObjects).
+                } else if (_.isObject(element) && _.isFunction(element.toObject)) {
                     element = element.toObject();
 
                     // If is non-SchemaType object, shallow clone so that properties modification don't have an affect on the original object.
@@ -858,7 +3747,7 @@
         }
 
         toJSON() {
-            return this.toArray();
+            return toJSONValue(this.toArray());
         }
 
         // Used to detect instance of SchemaArray internally.
@@ -867,6 +3756,71 @@
         }
     }
 
+    // Represents a native Set with typecasted values.
+    class SchemaSet extends Set {
+        constructor(self, properties) {
+            super();
+
+            // Store all internals.
+            // Copies, such as the ones made by _.cloneDeep() for errors, are constructed without properties.
+            const _private = this[_privateKey] = {};
+            _private._self = self;
+            _private._properties = properties || {};
+        }
+
+        add(value) {
+            // Values are passed through the typecast before being allowed into the Set if values is set.
+            value = typecastSetElement.call(this[_privateKey]._self, value, this[_privateKey]._properties, [], this.size);
+
+            return super.add(value);
+        }
+
+        toArray() {
+            const properties = this[_privateKey]._properties;
+            return _.map(Array.from(this), (element) => recordValueToObject(element, properties.values || {}));
+        }
+
+        toJSON() {
+            return toJSONValue(this.toArray());
+        }
+    }
+
+    // Represents a native Map with typecasted values and validated keys.
+    class SchemaMap extends Map {
+        constructor(self, properties) {
+            super();
+
+            // Store all internals.
+            // Copies, such as the ones made by _.cloneDeep() for errors, are constructed without properties.
+            const _private = this[_privateKey] = {};
+            _private._self = self;
+            _private._properties = properties || {};
+        }
+
+        set(key, value) {
+            // Values are passed through the typecast before being allowed into the Map if values or keys are set.
+            const properties = this[_privateKey]._properties;
+            if (properties.values || properties.keys) {
+                value = typecastRecordEntry.call(this[_privateKey]._self, key, value, undefined, properties, []);
+            }
+
+            return super.set(key, value);
+        }
+
+        toObject() {
+            const properties = this[_privateKey]._properties;
+            const object = {};
+            this.forEach((value, key) => {
+                object[key] = recordValueToObject(value, properties.values || {});
+            });
+            return object;
+        }
+
+        toJSON() {
+            return toJSONValue(this.toObject());
+        }
+    }
+
     // Represents an object FACTORY with typed indexes.
     class SchemaObject {
         constructor(schema, options = {}) {
@@ -903,7 +3857,19 @@
                 // This defines the digit group separator used for parsing numbers, it defaults to ','
                 // For example 3,043,201.01. However if enabled it swaps commas and decimals to allow parsing
                 // numbers like 3.043.201,01
-                useDecimalNumberGroupSeparator: false
+                useDecimalNumberGroupSeparator: false,
+
+                // Locale used to parse number strings ('pt-BR', 'de-CH'), separators are derived from Intl.NumberFormat.
+                // Takes precedence over useDecimalNumberGroupSeparator when defined.
+                locale: undefined,
+
+                // Generate a typecast function specialized for each field when the schema is compiled.
+                // Fields using properties that can't be compiled fall back to the regular typecast.
+                compile: false,
+
+                // Timezone of dates parsed with a format when the value has no offset, local time when undefined.
+                // UTC offsets ('+03:00') or IANA names ('America/Sao_Paulo') are supported.
+                timezone: undefined
 
             }, options);
 
@@ -958,10 +3924,176 @@
 
             return SO;
         }
+
+        // Register a string format, or replace an existing one, for all schemas.
+        // Validator is a regular expression or a function returning true for valid strings.
+        static registerFormat(name, validator) {
+            if (!_.isRegExp(validator) && !_.isFunction(validator)) {
+                throw new Error(`[schema-object] Format "${name}" must be a regular expression or a function.`);
+            }
+            _stringFormats[name] = validator;
+        }
+
+        // Register a field type, or replace a registered one, for all schemas.
+        // Definition has a cast function and optionally validate, toObject and toJSONSchema functions.
+        static registerType(name, definition) {
+            name = _.isString(name) ? name.toLowerCase() : name;
+            if (_builtInTypes.indexOf(name) !== -1) {
+                throw new Error(`[schema-object] Type "${name}" is built in and can't be registered.`);
+            }
+            if (!definition || !_.isFunction(definition.cast)) {
+                throw new Error(`[schema-object] Type "${name}" must have a cast function.`);
+            }
+            _customTypes[name] = definition;
+        }
+
+        // Generate TypeScript interface declarations for the SchemaObject factories in an object (such as module exports).
+        // Other values are ignored.
+        static generateTypeScript(factories) {
+            const names = _.pickBy(factories, isSchemaObjectFactory);
+            const declarations = _.map(names, (SO, name) => `export interface ${name} ${schemaToTypeScript(SO, names, '')}\n`);
+
+            return ['// Generated by schemaobject-dts. Do not edit.\n'].concat(declarations).join('\n');
+        }
+
+        // Create SchemaObject factory from a JSON Schema document.
+        static fromJSONSchema(jsonSchema, options = {}) {
+            const context = {
+                root: jsonSchema,
+                options: _.omit(options, 'onUnsupportedKeyword'),
+                refs: {},
+                resolving: {},
+
+                // Keywords that can't be mapped to SchemaObject properties are reported instead of dropped.
+                report: (keyword, path, value) => {
+                    if (_.isFunction(options.onUnsupportedKeyword)) {
+                        options.onUnsupportedKeyword(keyword, path, value);
+                    } else {
+                        throw new Error(`[schema-object] Unsupported JSON Schema keyword "${keyword}" at "${path}".`);
+                    }
+                }
+            };
+
+            // The document itself may reference its definition.
+            if (jsonSchema.$ref !== undefined) {
+                jsonSchema = resolveJSONSchemaRef(jsonSchema.$ref, context);
+            }
+
+            if (jsonSchema.type !== 'object' && jsonSchema.properties === undefined) {
+                throw new Error('[schema-object] JSON Schema document must describe an object.');
+            }
+
+            _.each(jsonSchema, (value, keyword) => {
+                if (['type', 'properties', 'required'].indexOf(keyword) === -1 &&
+                    _jsonSchemaAnnotations.indexOf(keyword) === -1 &&
+                    !(keyword === 'additionalProperties' && value === (context.options.strict === false))) {
+                    context.report(keyword, '#', value);
+                }
+            });
+
+            return new SchemaObject(jsonSchemaToSchema(jsonSchema, '#', context), context.options);
+        }
     }
 
     // Represents an object INSTANCE factory with typed indexes.
-    function SchemaObjectInstanceFactory(schema, options) {
+    function SchemaObjectInstanceFactory(sourceSchema, options) {
+        // Schema as declared is kept for extend(), the normalized schema is compiled below.
+        const schema = {};
+
+        // Proxy used as interface to object allows to intercept all access.
+        // Without Proxy we must register individual getter/typecasts to put any logic in place.
+        // With Proxy, we still use the individual getter/typecasts, but also catch values that aren't in the schema.
+        // The handler is shared by all instances, traps receive the instance as target.
+        const proxyHandler = {
+            // Ensure only public keys are shown.
+            ownKeys: (target) => {
+                var obj = target.toObject();
+                if(obj === undefined || obj === null)
+                    obj = {};
+                return Object.keys(obj);
+            },
+
+            // Return keys to iterate.
+            enumerate: (target) => {
+                return Object.keys(target[_privateKey]._this)[Symbol.iterator]();
+            },
+
+            // Check to see if key exists.
+            has: (target, key) => {
+                return !!target[_privateKey]._getset[key];
+            },
+
+            // Ensure correct prototype is returned.
+            getPrototypeOf: (target) => {
+                return target[_privateKey]._getset;
+            },
+
+            // Ensure readOnly fields are not writeable.
+            getOwnPropertyDescriptor: (target, key) => {
+                return {
+                    value: target[_privateKey]._this[key],
+                    writeable: !schema[key] || schema[key].readOnly !== true,
+                    enumerable: true,
+                    configurable: true
+                };
+            },
+
+            // Intercept all get calls.
+            get: (target, name, receiver) => {
+                // First check to see if it's a reserved field.
+                if (_reservedFields.includes(name)) {
+                    return target[_privateKey]._reservedFields[name];
+                }
+
+                // Support dot notation via lodash.
+                if (options.dotNotation && typeof name === 'string' && name.indexOf('.') !== -1) {
+                    return _.get(target[_privateKey]._this, name);
+                }
+
+                // Use registered getter without hitting the proxy to avoid creating an infinite loop.
+                return target[name];
+            },
+
+            // Intercept all set calls.
+            set: (target, name, value, receiver) => {
+                // Support dot notation via lodash.
+                if (options.dotNotation && typeof name === 'string' && name.indexOf('.') !== -1) {
+                    return _.set(target[_privateKey]._this, name, value);
+                }
+
+                // Find real keyname if case sensitivity is off.
+                if (options.keysIgnoreCase && !schema[name]) {
+                    name = getIndex.call(target, name);
+                }
+
+                if (!schema[name]) {
+                    if (options.strict) {
+                        // Strict mode means we don't want to deal with anything not in the schema.
+                        // TODO: SetterError here.
+                        return true;
+                    } else {
+                        // Add index to schema dynamically when value is set.
+                        // This is necessary for toObject to see the field.
+                        addToSchema.call(target, name, {
+                            type: 'any'
+                        });
+                    }
+                }
+
+                // This hits the registered setter but bypasses the proxy to avoid an infinite loop.
+                target[name] = value;
+
+                // Necessary for Node v6.0. Prevents error: 'set' on proxy: trap returned falsish for property 'string'".
+                return true;
+            },
+
+            // Intercept all delete calls.
+            deleteProperty: (target, property) => {
+                target[property] = undefined;
+                return true;
+            }
+        };
+
         // Represents an actual instance of an object.
         class SchemaObjectInstance {
             // Extend instance factory.
@@ -972,7 +4104,7 @@
                 }
 
                 // Merge schema and options together.
-                const mergedSchema = _.merge({}, schema, extendSchema);
+                const mergedSchema = _.merge({}, sourceSchema, extendSchema);
                 const mergedOptions = _.merge({}, options, extendOptions);
 
                 // Allow method and constructor to call `this.super()`.
@@ -1003,7 +4135,44 @@
                 return new SchemaObject(mergedSchema, mergedOptions);
             }
 
+            // Export schema as JSON Schema (draft 2020-12).
+            static toJSONSchema() {
+                const jsonSchema = {
+                    $schema: 'https://json-schema.org/draft/2020-12/schema',
+                    type: 'object',
+                    properties: {}
+                };
+                const required = [];
+
+                _.each(schema, (properties, index) => {
+                    // Aliases and invisible fields are never written by toObject() or toJSON().
+                    if (properties.type === 'alias' || properties.invisible) {
+                        return;
+                    }
+
+                    jsonSchema.properties[index] = propertiesToJSONSchema(properties);
+
+                    // Required functions are evaluated at runtime and can't be represented.
+                    const isRequired = _.isArray(properties.required) ? properties.required[0] : properties.required;
+                    if (isRequired === true) {
+                        required.push(index);
+                    }
+                });
+
+                if (required.length) {
+                    jsonSchema.required = required;
+                }
+
+                return jsonSchema;
+            }
+
+            // Typecast and validate plain values without creating an instance.
+            static validate(values) {
+                return validatePlain(values, schema, options, undefined, true);
+            }
+
             // Construct new instance pre-populated with values.
+            // The schema is compiled once per factory, so only the internals and value store are created here.
             constructor(values, _root) {
                 // Object used to store internals.
                 const _private = this[_privateKey] = {};
@@ -1019,125 +4188,29 @@
                 _private._this = this;
 
                 // Object used to store raw values.
-                const obj = _private._obj = {};
+                _private._obj = {};
 
-                // Schema as defined by constructor.
+                // Schema as compiled by factory.
                 _private._schema = schema;
 
                 // Errors, retrieved with getErrors().
                 _private._errors = [];
 
+                // Errors of the last validateAsync() run, retrieved with getErrors().
+                _private._asyncErrors = [];
+
+                // Index of the oneOf type matched by union fields, retrieved with getMatchedBranch().
+                _private._unionBranches = {};
+
                 // Options need to be accessible. Shared across ALL INSTANCES.
                 _private._options = options;
 
                 // Reserved keys for storing internal properties accessible from outside.
                 _private._reservedFields = {};
 
-                // Normalize schema properties to allow for shorthand declarations.
-                _.each(schema, (properties, index) => {
-                    schema[index] = normalizeProperties.call(this, properties, index);
-                });
-
-                // Define getters/typecasts based off of schema.
-                _.each(schema, (properties, index) => {
-                    // Use getter / typecast to intercept and re-route, transform, etc.
-                    defineGetter.call(_private._getset, index, properties);
-                    defineSetter.call(_private._getset, index, properties);
-                });
-
                 // Proxy used as interface to object allows to intercept all access.
-                // Without Proxy we must register individual getter/typecasts to put any logic in place.
-                // With Proxy, we still use the individual getter/typecasts, but also catch values that aren't in the schema.
                 if (_isProxySupported === true) {
-                    const proxy = this[_privateKey]._this = new Proxy(this, {
-                        // Ensure only public keys are shown.
-                        ownKeys: (target) => {
-                            var obj = this.toObject();
-                            if(obj === undefined || obj === null)
-                                obj = {};
-                            return Object.keys(obj);
-                        },
-
-                        // Return keys to iterate.
-                        enumerate: (target) => {
-                            return Object.keys(this[_privateKey]._this)[Symbol.iterator]();
-                        },
-
-                        // Check to see if key exists.
-                        has: (target, key) => {
-                            return !!_private._getset[key];
-                        },
-
-                        // Ensure correct prototype is returned.
-                        getPrototypeOf: () => {
-                            return _private._getset;
-                        },
-
-                        // Ensure readOnly fields are not writeable.
-                        getOwnPropertyDescriptor: (target, key) => {
-                            return {
-                                value: proxy[key],
-                                writeable: !schema[key] || schema[key].readOnly !== true,
-                                enumerable: true,
-                                configurable: true
-                            };
-                        },
-
-                        // Intercept all get calls.
-                        get: (target, name, receiver) => {
-                            // First check to see if it's a reserved field.
-                            if (_reservedFields.includes(name)) {
-                                return this[_privateKey]._reservedFields[name];
-                            }
-
-                            // Support dot notation via lodash.
-                            if (options.dotNotation && typeof name === 'string' && name.indexOf('.') !== -1) {
-                                return _.get(this[_privateKey]._this, name);
-                            }
-
-                            // Use registered getter without hitting the proxy to avoid creating an infinite loop.
-                            return this[name];
-                        },
-
-                        // Intercept all set calls.
-                        set: (target, name, value, receiver) => {
-                            // Support dot notation via lodash.
-                            if (options.dotNotation && typeof name === 'string' && name.indexOf('.') !== -1) {
-                                return _.set(this[_privateKey]._this, name, value);
-                            }
-
-                            // Find real keyname if case sensitivity is off.
-                            if (options.keysIgnoreCase && !schema[name]) {
-                                name = getIndex.call(this, name);
-                            }
-
-                            if (!schema[name]) {
-                                if (options.strict) {
-                                    // Strict mode means we don't want to deal with anything not in the schema.
-                                    // TODO: SetterError here.
-                                    return true;
-                                } else {
-                                    // Add index to schema dynamically when value is set.
-                                    // This is necessary for toObject to see the field.
-                                    addToSchema.call(this, name, {
-                                        type: 'any'
-                                    });
-                                }
-                            }
-
-                            // This hits the registered setter but bypasses the proxy to avoid an infinite loop.
-                            this[name] = value;
-
-                            // Necessary for Node v6.0. Prevents error: 'set' on proxy: trap returned falsish for property 'string'".
-                            return true;
-                        },
-
-                        // Intercept all delete calls.
-                        deleteProperty: (target, property) => {
-                            this[property] = undefined;
-                            return true;
-                        }
-                    });
+                    _private._this = new Proxy(this, proxyHandler);
                 }
 
                 // Populate schema defaults into object.
@@ -1191,8 +4264,21 @@
                         return;
                     }
 
-                    // Clone objects so they can't be modified by reference.
-                    if (_.isObject(value)) {
+                    // Registered types are serialized by the type.
+                    if (_customTypes[properties.type]) {
+                        value = customTypeToObject(value, properties);
+
+                        // Record, Set and Map values are serialized like fields of the values type.
+                    } else if (properties.values && _.isPlainObject(value) || value instanceof SchemaSet || value instanceof SchemaMap) {
+                        value = collectionToObject(value, properties);
+
+                        // Don't write empty objects or arrays.
+                        if (!options.setUndefined && !_.size(value)) {
+                            return;
+                        }
+
+                        // Clone objects so they can't be modified by reference.
+                    } else if (_.isObject(value)) {
                         if (value._isSchemaObject) {
                             value = value.toObject();
                         } else if (value._isSchemaArray) {
@@ -1228,7 +4314,7 @@
             // toJSON is an interface used by JSON.stringify.
             // Return the raw object if called.
             toJSON() {
-                return this.toObject();
+                return toJSONValue(this.toObject());
             }
 
             // Clear all values.
@@ -1241,7 +4327,7 @@
             // Get all errors.
             getErrors() {
                 const errors = [];
-                for (let error of this[_privateKey]._errors) {
+                for (let error of this[_privateKey]._errors.concat(this[_privateKey]._asyncErrors)) {
                     error = _.cloneDeep(error);
                     error.schemaObject = this;
                     errors.push(error);
@@ -1266,9 +4352,11 @@
                     }
 
                     //Skip if property has a value, is a boolean set to false, or if it's falsy and falsy values are allowed
+                    //Null is a value of nullable fields
                     if (
                       this[index] ||
                       typeof this[index] === 'boolean' ||
+                      this[index] === null && properties.nullable ||
                       this[_privateKey]._options.allowFalsyValues && this[index] !== undefined
                     ) {
                       return;
@@ -1279,33 +4367,59 @@
                     errors.push(error);
                 });
 
-                // Look for sub-SchemaObjects.
-                for (const name in this[_privateKey]._schema) {
-                    const field = this[_privateKey]._schema[name];
-                    if (field.type === 'object' && typeof field.objectType === 'function') {
-                        const subErrors = this[name].getErrors();
-                        for (const subError of subErrors) {
-                            subError.fieldSchema.name = `${name}.${subError.fieldSchema.name}`;
-                            subError.schemaObject = this;
-                            errors.push(subError);
-                        }
+                // Assigned tuples are checked when set, but can be left short by a rejected element or by array methods.
+                _.each(this[_privateKey]._schema, (properties, index) => {
+                    const array = this[_privateKey]._obj[index];
+                    if (properties.type !== 'array' || !properties.items || !array) {
+                        return;
+                    }
+
+                    try {
+                        checkTupleLength(array, array, array, properties);
+                    } catch (error) {
+                        error.schemaObject = this;
+                        errors.push(error);
                     }
+                });
+
+                // Object-level validation rules.
+                for (const error of validateRules.call(this, this[_privateKey]._schema, this[_privateKey]._options)) {
+                    error.schemaObject = this;
+                    errors.push(error);
                 }
 
+                // Look for sub-SchemaObjects.
+                eachSubObject.call(this, (subObject, name) => {
+                    for (const subError of subObject.getErrors()) {
+                        prefixErrorName(subError, name);
+                        subError.schemaObject = this;
+                        errors.push(subError);
+                    }
+                });
+
                 return errors;
             }
 
             // Clear all errors
             clearErrors() {
                 this[_privateKey]._errors.length = 0;
+                this[_privateKey]._asyncErrors.length = 0;
 
                 // Look for sub-SchemaObjects.
-                for (const name in this[_privateKey]._schema) {
-                    const field = this[_privateKey]._schema[name];
-                    if (field.type === 'object' && typeof field.objectType === 'function') {
-                        this[name].clearErrors();
-                    }
-                }
+                eachSubObject.call(this, (subObject) => {
+                    subObject.clearErrors();
+                });
+            }
+
+            // Run asynchronous transforms and validators, including sub-objects and arrays.
+            // Resolves with all errors, as returned by getErrors().
+            validateAsync() {
+                return runAsync.call(this).then(() => this.getErrors());
+            }
+
+            // Index of the oneOf type that matched the value of a union field.
+            getMatchedBranch(index) {
+                return this[_privateKey]._unionBranches[getIndex.call(this, index)];
             }
 
             // Has errors?
@@ -1319,6 +4433,12 @@
             }
         }
 
+        // Schema and options are needed by static methods that inspect the schema outside of an instance.
+        SchemaObjectInstance[_privateKey] = {
+            _schema: schema,
+            _options: options
+        };
+
         // Add custom methods to factory-generated class.
         _.each(options.methods, (method, key) => {
             if (SchemaObjectInstance.prototype[key]) {
@@ -1327,6 +4447,15 @@
             SchemaObjectInstance.prototype[key] = method;
         });
 
+        // Compile schema: normalize properties to allow for shorthand declarations and define getters/typecasts.
+        _.each(sourceSchema, (properties, index) => {
+            schema[index] = normalizeProperties.call(SchemaObjectInstance, properties, index);
+
+            // Use getter / typecast to intercept and re-route, transform, etc.
+            defineGetter.call(SchemaObjectInstance.prototype, index, schema[index]);
+            defineSetter.call(SchemaObjectInstance.prototype, index, schema[index]);
+        });
+
         return SchemaObjectInstance;
     }
 
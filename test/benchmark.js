@@ -0,0 +1,62 @@
+// Compares interpreted and compiled typecasting to make performance regressions visible.
+
+var SchemaObject = require('../dist/schemaobject');
+
+var schema = {
+  id: String,
+  name: {
+    type: String,
+    minLength: 2,
+    maxLength: [20, 'Name is too long'],
+    regex: /^[a-z ]+$/i
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive']
+  },
+  code: {
+    type: String,
+    maxLength: 4,
+    clip: true
+  },
+  age: {
+    type: Number,
+    min: 0,
+    max: 150
+  },
+  verified: Boolean,
+  created: Date,
+  tags: [String],
+  profile: {
+    firstName: String,
+    lastName: String
+  }
+};
+
+var data = {
+  id: 123,
+  name: 'Scott Hovestadt',
+  status: 'active',
+  code: 'ABCDEF',
+  age: '29',
+  verified: 'false',
+  created: '2016-01-01T00:00:00.000Z',
+  tags: ['a', 'b', 'c'],
+  profile: {
+    firstName: 'Scott',
+    lastName: 'Hovestadt'
+  }
+};
+
+function run(label, SO) {
+  var start = Date.now();
+  for (var i = 0; i < 50000; i++) {
+    new SO(data);
+  }
+  console.log(label + ': ' + (Date.now() - start) / 1000);
+}
+
+run('interpreted', new SchemaObject(schema));
+run('compiled', new SchemaObject(schema, {
+  compile: true
+}));
@@ -6,6 +6,20 @@ if (typeof require !== 'undefined') {
 var _isProxySupported = typeof Proxy !== 'undefined' &&
     Proxy.toString().indexOf('proxies not supported on this platform') === -1;
 
+// Message, code and field name of each error, to compare errors.
+function errorsOf(errors) {
+    return _.map(errors, function (error) {
+        return [error.errorMessage, error.errorCode, error.fieldSchema.name];
+    });
+}
+
+// Code and field name of each error.
+function errorSummary(errors) {
+    return _.map(errors, function (error) {
+        return [error.errorCode, error.fieldSchema.name];
+    });
+}
+
 describe('SchemaObject construction options', function () {
     it('should not modify the options object passed in', function () {
         var options = {
@@ -401,6 +415,34 @@ if (_isProxySupported === true) {
             john.id.should.equal(1);
             john.getDisplayName().should.equal('[Employee ID 1] John Smith');
         });
+
+        it('should merge sub-schemas declared with shorthand', function () {
+            var Person = new SchemaObject({
+                profile: {
+                    firstName: String
+                }
+            });
+            new Person();
+
+            var Employee = Person.extend({
+                profile: {
+                    lastName: String
+                }
+            });
+
+            var john = new Employee({
+                profile: {
+                    firstName: 'John',
+                    lastName: 'Smith'
+                }
+            });
+            john.toObject().should.eql({
+                profile: {
+                    firstName: 'John',
+                    lastName: 'Smith'
+                }
+            });
+        });
     });
 }
 
@@ -414,6 +456,48 @@ describe('SchemaObject internals', function () {
         arr: [String]
     });
 
+    it('should compile the schema when the factory is created without modifying it', function () {
+        var schema = {
+            string: String,
+            subobj: {
+                string: String
+            },
+            arr: [{
+                string: String
+            }]
+        };
+        var Compiled = new SchemaObject(schema);
+
+        schema.string.should.equal(String);
+        schema.subobj.should.eql({
+            string: String
+        });
+        schema.arr.should.eql([{
+            string: String
+        }]);
+        Compiled.toJSONSchema().properties.arr.items.properties.should.eql({
+            string: {
+                type: 'string'
+            }
+        });
+    });
+
+    it('should share getters and setters between instances', function () {
+        var o1 = new SO({
+            string: 1
+        });
+        var o2 = new SO({
+            string: 2
+        });
+        o1.string.should.equal('1');
+        o2.string.should.equal('2');
+        o1.arr.push(1);
+        o1.arr.toArray().should.eql(['1']);
+        o2.arr.toArray().should.eql([]);
+        o1.subobj.string = 1;
+        should.not.exist(o2.subobj.string);
+    });
+
     // Some tests require harmony proxies:
     if (_isProxySupported === true) {
         it('should be empty when nothing is set', function () {
@@ -773,6 +857,287 @@ describe('any type', function () {
             o.isErrors().should.equal(true);
         });
     });
+
+    describe('validate', function () {
+        function isEven(value) {
+            return value % 2 === 0;
+        }
+
+        it('should reject with CustomValidationError when validator returns false', function () {
+            var SO = new SchemaObject({
+                any: {
+                    type: 'any',
+                    validate: isEven
+                }
+            });
+
+            var o = new SO();
+            o.any = 2;
+            o.any.should.equal(2);
+            o.any = 3;
+            o.any.should.equal(2);
+
+            var errors = o.getErrors();
+            errors.length.should.equal(1);
+            errors[0].errorMessage.should.equal('Value failed custom validation.');
+            errors[0].errorCode.should.equal(1202);
+            errors[0].errorType.should.equal('ValidationError');
+            errors[0].setValue.should.equal(3);
+        });
+
+        it('should use the error message returned by validator', function () {
+            var SO = new SchemaObject({
+                string: {
+                    type: String,
+                    validate: function (value) {
+                        return value === value.toLowerCase() || 'Must be lowercase';
+                    }
+                }
+            });
+
+            var o = new SO({
+                string: 'ABC'
+            });
+            should.not.exist(o.string);
+            o.getErrors()[0].errorMessage.should.equal('Must be lowercase');
+        });
+
+        it('should reject with CustomValidationError when validator throws', function () {
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    validate: function (value) {
+                        if (value < 0) {
+                            throw new Error('Must be positive');
+                        }
+                        return true;
+                    }
+                }
+            });
+
+            var o = new SO({
+                number: 1
+            });
+            o.number = -1;
+            o.number.should.equal(1);
+
+            var errors = o.getErrors();
+            errors.length.should.equal(1);
+            errors[0].errorMessage.should.equal('Must be positive');
+            errors[0].errorCode.should.equal(1202);
+            errors[0].setValue.should.equal(-1);
+            errors[0].originalValue.should.equal(1);
+            _.map(SO.validate({number: -1}).errors, 'errorCode').should.eql([1202]);
+        });
+
+        it('should run an array of validators in order after type-specific validation', function () {
+            var calls = [];
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    max: 10,
+                    validate: [
+                        function (value) {
+                            calls.push(['first', value]);
+                            return true;
+                        },
+                        function (value) {
+                            calls.push(['second', value]);
+                            return isEven(value) || 'Must be even';
+                        }
+                    ]
+                }
+            });
+
+            var o = new SO({
+                number: '3'
+            });
+            o.number = 20;
+
+            calls.should.eql([['first', 3], ['second', 3]]);
+            _.map(o.getErrors(), 'errorCode').should.eql([1202, 1222]);
+        });
+
+        it('should call validator in the context of the object', function () {
+            var SO = new SchemaObject({
+                min: Number,
+                max: {
+                    type: Number,
+                    validate: function (value) {
+                        return value > this.min;
+                    }
+                }
+            });
+
+            var o = new SO({
+                min: 5,
+                max: 4
+            });
+            should.not.exist(o.max);
+            o.max = 6;
+            o.max.should.equal(6);
+        });
+
+        it('should not validate undefined values', function () {
+            var SO = new SchemaObject({
+                string: {
+                    type: String,
+                    validate: function () {
+                        return false;
+                    }
+                }
+            });
+
+            var o = new SO({
+                string: undefined
+            });
+            o.string = null;
+            o.getErrors().length.should.equal(0);
+        });
+
+        it('should validate arrays, array elements and sub-objects', function () {
+            var SO = new SchemaObject({
+                arr: {
+                    type: Array,
+                    arrayType: {
+                        type: Number,
+                        validate: isEven
+                    },
+                    validate: function (array) {
+                        return array.length <= 2 || 'Too many elements';
+                    }
+                },
+                obj: {
+                    type: {
+                        a: Number,
+                        b: Number
+                    },
+                    validate: function (obj) {
+                        return obj.a < obj.b;
+                    }
+                }
+            });
+
+            var o = new SO({
+                arr: [2, 4, 6]
+            });
+            o.arr = [5];
+            o.obj = {
+                a: 1,
+                b: 2
+            };
+            o.obj = {
+                a: 2,
+                b: 1
+            };
+
+            _.map(o.getErrors(), 'errorMessage').should.eql([
+                'Too many elements', 'Value failed custom validation.', 'Value failed custom validation.'
+            ]);
+            SO.validate({
+                arr: [2, 4, 6],
+                obj: {
+                    a: 2,
+                    b: 1
+                }
+            }).errors.length.should.equal(2);
+        });
+    });
+});
+
+describe('nullable', function () {
+    var Profile = new SchemaObject({
+        name: String
+    });
+
+    var SO = new SchemaObject({
+        deletedAt: {
+            type: Date,
+            nullable: true
+        },
+        name: String,
+        tags: {
+            type: Array,
+            arrayType: String,
+            nullable: true
+        },
+        profile: {
+            type: Profile,
+            nullable: true
+        },
+        email: {
+            type: String,
+            required: true,
+            nullable: true
+        }
+    });
+
+    it('should keep null on nullable fields', function () {
+        var o = new SO({deletedAt: null, name: null});
+
+        should(o.deletedAt).be.null();
+        should.not.exist(o.name);
+    });
+
+    it('should write null with toObject()', function () {
+        var o = new SO({deletedAt: null, tags: null, profile: null});
+
+        o.toObject().should.eql({deletedAt: null, tags: null, profile: null});
+    });
+
+    it('should keep null on nullable arrays and objects until they are set', function () {
+        var o = new SO({tags: null, profile: null});
+
+        should(o.tags).be.null();
+        should(o.profile).be.null();
+
+        o.tags = ['a'];
+        o.profile = {name: 'Scott'};
+        o.tags.toArray().should.eql(['a']);
+        o.profile.name.should.equal('Scott');
+    });
+
+    it('should initialize nullable arrays and objects again when cleared', function () {
+        var o = new SO({tags: null, profile: null});
+
+        o.clear();
+        o.tags.should.have.lengthOf(0);
+        o.profile.toObject().should.eql({});
+    });
+
+    it('should accept null on required nullable fields', function () {
+        var o = new SO();
+
+        o.getErrors().should.have.lengthOf(1);
+        o.email = null;
+        o.getErrors().should.have.lengthOf(0);
+    });
+
+    it('should override preserveNull', function () {
+        var PreserveNull = new SchemaObject({
+            name: String,
+            id: {
+                type: String,
+                nullable: false
+            }
+        }, {
+            preserveNull: true
+        });
+
+        new PreserveNull({name: null, id: null}).toObject().should.eql({name: null});
+    });
+
+    it('should validate plain values', function () {
+        var result = SO.validate({deletedAt: null, name: null, tags: null, profile: null, email: null});
+
+        result.value.should.eql({deletedAt: null, tags: null, profile: null, email: null});
+        result.errors.should.have.lengthOf(0);
+    });
+
+    it('should export null to JSON Schema and TypeScript', function () {
+        SO.toJSONSchema().properties.deletedAt.should.eql({type: ['string', 'null'], format: 'date-time'});
+        SchemaObject.generateTypeScript({SO: SO}).should.containEql('deletedAt?: Date | null;');
+    });
 });
 
 describe('String', function () {
@@ -1244,48 +1609,289 @@ describe('String', function () {
             o.clippedString.should.equal('12345');
         });
     });
-});
-
-describe('Number', function () {
-    var SO = new SchemaObject({
-        number: Number,
-        minMax: {
-            type: Number,
-            min: 100,
-            max: 200
-        }
-    });
-
-    describe('typecasting', function () {
-        it('should typecast string to number', function () {
-            var o = new SO();
 
-            o.number = '123';
-            o.number.should.be.a.Number;
-            o.number.should.equal(123);
+    describe('normalization', function () {
+        it('should trim, collapse whitespace and change case', function () {
+            var SO = new SchemaObject({
+                trimmed: {
+                    type: String,
+                    trim: true
+                },
+                collapsed: {
+                    type: String,
+                    collapseWhitespace: true
+                },
+                lower: {
+                    type: String,
+                    lowercase: true
+                },
+                upper: {
+                    type: String,
+                    uppercase: true
+                },
+                all: {
+                    type: String,
+                    trim: true,
+                    collapseWhitespace: true,
+                    lowercase: true
+                }
+            });
 
-            o.number = o.number + 1;
-            o.number.should.equal(124);
+            new SO({
+                trimmed: '  a  b  ',
+                collapsed: '  a \t\n b  ',
+                lower: 'AbC',
+                upper: 'AbC',
+                all: '  Hello \n  World  '
+            }).toObject().should.eql({
+                trimmed: 'a  b',
+                collapsed: ' a b ',
+                lower: 'abc',
+                upper: 'ABC',
+                all: 'hello world'
+            });
+        });
 
-            o.number = 'a';
-            o.number.should.equal(124);
+        it('should normalize unicode', function () {
+            var SO = new SchemaObject({
+                nfc: {
+                    type: String,
+                    normalize: 'NFC'
+                },
+                nfkc: {
+                    type: String,
+                    normalize: 'NFKC'
+                }
+            });
 
-            var errors = o.getErrors();
-            errors.length.should.equal(1);
-            errors[0].errorMessage.should.equal('Number could not be typecast from the provided String');
-            errors[0].errorType.should.equal('CastError');
-            errors[0].errorCode.should.equal(1102);
+            var o = new SO({
+                nfc: 'Jose\u0301',
+                nfkc: '\uFB01le'
+            });
+            o.nfc.should.equal('Jos\u00E9');
+            o.nfc.length.should.equal(4);
+            o.nfkc.should.equal('file');
         });
 
-        it('should typecast string with comma digit group separator to number', function () {
-            var o = new SO();
+        it('should throw when the normalization form is unknown', function () {
+            (function () {
+                new SchemaObject({
+                    string: {
+                        type: String,
+                        normalize: 'NFX'
+                    }
+                });
+            }).should.throw('[schema-object] Unknown normalization form "NFX".');
+        });
 
-            o.number = '123,988,123.01';
-            o.number.should.be.a.Number;
-            o.number.should.equal(123988123.01);
+        it('should normalize before stringTransform, clip and validation', function () {
+            var SO = new SchemaObject({
+                code: {
+                    type: String,
+                    trim: true,
+                    uppercase: true,
+                    maxLength: 3,
+                    clip: true,
+                    stringTransform: function (value) {
+                        value.should.equal('ABCDE');
+                        return value;
+                    }
+                },
+                status: {
+                    type: String,
+                    trim: true,
+                    lowercase: true,
+                    enum: ['active', 'inactive'],
+                    minLength: 6,
+                    regex: /^[a-z]+$/
+                }
+            });
 
-            o.number = o.number + 1;
-            o.number.should.equal(123988124.01);
+            var o = new SO({
+                code: '  abcde  ',
+                status: '  ACTIVE '
+            });
+            o.code.should.equal('ABC');
+            o.status.should.equal('active');
+            o.getErrors().length.should.equal(0);
+        });
+    });
+
+    describe('format', function () {
+        var formats = {
+            email: [['scott@example.com', 'first.last+tag@sub.example.co'], ['scott', 'scott@', 'a b@example.com']],
+            url: [['https://example.com/path?query#hash', 'http://user:pass@[::1]:8080/', 'ftp://10.0.0.1'],
+                ['example.com', 'javascript:alert(1)', 'http://-invalid-.com']],
+            uuid: [['123e4567-e89b-12d3-a456-426614174000', '00000000-0000-0000-0000-000000000000'],
+                ['123e4567-e89b-92d3-a456-426614174000', '123e4567e89b12d3a456426614174000']],
+            ipv4: [['192.168.0.1', '0.0.0.0'], ['256.0.0.1', '01.2.3.4', '1.2.3']],
+            ipv6: [['::1', '2001:db8::ff00:42:8329', '::ffff:192.0.2.128', '1:2:3:4:5:6:7:8'],
+                ['1::2::3', '1:2:3:4:5:6:7:8:9', '::ffff:256.0.0.1', 'g::1']],
+            hostname: [['example.com', 'localhost', 'a-b.example'], ['-example.com', 'example..com', 'exa mple.com']],
+            'iso-date': [['2016-01-01', '2016-01-01T10:00:00Z', '2016-01-01T10:00:00.123+02:00'], ['2016-02-30', '01/01/2016']],
+            'hex-color': [['#fff', '#ffffff', '#ffffff80'], ['fff', '#fffff', '#ggg']],
+            slug: [['hello-world', 'post-1'], ['Hello-World', 'hello--world', '-hello']],
+            'phone-e164': [['+5511999999999', '+14155552671'], ['5511999999999', '+0123', '+1 415 555 2671']]
+        };
+
+        _.each(formats, function (values, format) {
+            it('should validate ' + format, function () {
+                var SO = new SchemaObject({
+                    string: {
+                        type: String,
+                        format: format
+                    }
+                });
+
+                _.each(values[0], function (value) {
+                    new SO({
+                        string: value
+                    }).string.should.equal(value);
+                });
+                _.each(values[1], function (value) {
+                    var o = new SO({
+                        string: value
+                    });
+                    should.not.exist(o.string);
+                    o.getErrors()[0].errorMessage.should.equal('String does not match format "' + format + '".');
+                    o.getErrors()[0].errorCode.should.equal(1215);
+                });
+            });
+        });
+
+        it('should support custom error messages', function () {
+            var SO = new SchemaObject({
+                email: {
+                    type: String,
+                    format: ['email', 'Invalid email']
+                }
+            });
+
+            new SO({
+                email: 'scott'
+            }).getErrors()[0].errorMessage.should.equal('Invalid email');
+        });
+
+        it('should throw when the format is not registered', function () {
+            (function () {
+                new SchemaObject({
+                    string: {
+                        type: String,
+                        format: 'unregistered'
+                    }
+                });
+            }).should.throw('[schema-object] Unknown string format "unregistered".');
+        });
+
+        it('should allow registering formats', function () {
+            SchemaObject.registerFormat('even-length', function (value) {
+                return value.length % 2 === 0;
+            });
+            SchemaObject.registerFormat('lowercase', /^[a-z]*$/);
+
+            var SO = new SchemaObject({
+                even: {
+                    type: String,
+                    format: 'even-length'
+                },
+                lower: {
+                    type: String,
+                    format: 'lowercase'
+                }
+            });
+
+            var o = new SO({
+                even: 'ab',
+                lower: 'abc'
+            });
+            o.even = 'abc';
+            o.lower = 'ABC';
+            o.toObject().should.eql({
+                even: 'ab',
+                lower: 'abc'
+            });
+            _.map(o.getErrors(), 'errorCode').should.eql([1215, 1215]);
+
+            (function () {
+                SchemaObject.registerFormat('invalid', 'abc');
+            }).should.throw('[schema-object] Format "invalid" must be a regular expression or a function.');
+        });
+
+        it('should map formats to JSON Schema', function () {
+            var SO = new SchemaObject({
+                email: {
+                    type: String,
+                    format: 'email'
+                },
+                url: {
+                    type: String,
+                    format: 'url'
+                },
+                slug: {
+                    type: String,
+                    format: 'slug'
+                }
+            });
+            var jsonSchema = SO.toJSONSchema();
+
+            jsonSchema.properties.should.eql({
+                email: {
+                    type: 'string',
+                    format: 'email'
+                },
+                url: {
+                    type: 'string',
+                    format: 'uri'
+                },
+                slug: {
+                    type: 'string'
+                }
+            });
+            SchemaObject.fromJSONSchema(jsonSchema).toJSONSchema().properties.should.eql(jsonSchema.properties);
+        });
+    });
+});
+
+describe('Number', function () {
+    var SO = new SchemaObject({
+        number: Number,
+        minMax: {
+            type: Number,
+            min: 100,
+            max: 200
+        }
+    });
+
+    describe('typecasting', function () {
+        it('should typecast string to number', function () {
+            var o = new SO();
+
+            o.number = '123';
+            o.number.should.be.a.Number;
+            o.number.should.equal(123);
+
+            o.number = o.number + 1;
+            o.number.should.equal(124);
+
+            o.number = 'a';
+            o.number.should.equal(124);
+
+            var errors = o.getErrors();
+            errors.length.should.equal(1);
+            errors[0].errorMessage.should.equal('Number could not be typecast from the provided String');
+            errors[0].errorType.should.equal('CastError');
+            errors[0].errorCode.should.equal(1102);
+        });
+
+        it('should typecast string with comma digit group separator to number', function () {
+            var o = new SO();
+
+            o.number = '123,988,123.01';
+            o.number.should.be.a.Number;
+            o.number.should.equal(123988123.01);
+
+            o.number = o.number + 1;
+            o.number.should.equal(123988124.01);
         });
 
         it('should fail to typecast string with decimal digit group separator to number', function () {
@@ -1350,6 +1956,129 @@ describe('Number', function () {
         });
     });
 
+    describe('locale', function () {
+        it('should parse numbers with the separators of the field locale', function () {
+            var SO = new SchemaObject({
+                brazil: {
+                    type: Number,
+                    locale: 'pt-BR'
+                },
+                switzerland: {
+                    type: Number,
+                    locale: 'de-CH'
+                },
+                france: {
+                    type: Number,
+                    locale: 'fr-FR'
+                },
+                india: {
+                    type: Number,
+                    locale: 'en-IN'
+                }
+            });
+
+            var o = new SO({
+                brazil: '1.234.567,89',
+                switzerland: '1\'234\'567.89',
+                france: '1\u00a0234\u00a0567,89',
+                india: '12,34,567.89'
+            });
+
+            o.brazil.should.equal(1234567.89);
+            o.switzerland.should.equal(1234567.89);
+            o.france.should.equal(1234567.89);
+            o.india.should.equal(1234567.89);
+
+            // Any space or apostrophe variant is accepted as group separator.
+            o.switzerland = '1\u2019234.5';
+            o.switzerland.should.equal(1234.5);
+            o.france = '1 234,5';
+            o.france.should.equal(1234.5);
+            o.france = '1\u202f234,5';
+            o.france.should.equal(1234.5);
+
+            // Numbers are not required to be grouped.
+            o.brazil = '1234,5';
+            o.brazil.should.equal(1234.5);
+            o.brazil = 10;
+            o.brazil.should.equal(10);
+            o.getErrors().length.should.equal(0);
+        });
+
+        it('should parse currency symbols, signs and percentages', function () {
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    locale: 'pt-BR'
+                }
+            });
+            var o = new SO();
+
+            _.map(['R$ 1.234,50', '-R$ 1.234,50', '1.234,50 \u20ac', 'BRL 10', '\u2212 3,5', '12,5%', '12,5 %', '+7'], function (value) {
+                o.number = value;
+                return o.number;
+            }).should.eql([1234.5, -1234.5, 1234.5, 10, -3.5, 0.125, 0.125, 7]);
+        });
+
+        it('should reject numbers that are not formatted for the locale', function () {
+            var SO = new SchemaObject({
+                us: {
+                    type: Number,
+                    locale: 'en-US'
+                },
+                brazil: {
+                    type: Number,
+                    locale: 'pt-BR'
+                }
+            });
+            var o = new SO();
+
+            _.each(['1,2,3', '12,34', '1,234,56', ',123', '1.2.3', '1 234', '--1', '1%%', 'abc', '1,234.5.6'], function (value) {
+                o.us = value;
+                should.not.exist(o.us);
+            });
+            _.each(['1.2.3', '1234.5', '1,234,5'], function (value) {
+                o.brazil = value;
+                should.not.exist(o.brazil);
+            });
+
+            o.getErrors().length.should.equal(13);
+            o.getErrors()[0].errorMessage.should.equal('Number could not be typecast from the provided String');
+            o.getErrors()[0].errorCode.should.equal(1102);
+        });
+
+        it('should use the locale option for every number field', function () {
+            var SO = new SchemaObject({
+                number: Number,
+                us: {
+                    type: Number,
+                    locale: 'en-US'
+                }
+            }, {
+                locale: 'de-DE',
+                useDecimalNumberGroupSeparator: false
+            });
+
+            var o = new SO({
+                number: '1.234,5',
+                us: '1,234.5'
+            });
+            o.number.should.equal(1234.5);
+            o.us.should.equal(1234.5);
+        });
+
+        it('should throw for invalid locales', function () {
+            (function () {
+                new SchemaObject({
+                    number: {
+                        type: Number,
+                        locale: 'not a locale'
+                    }
+                });
+            }).should.throw('[schema-object] Unknown locale "not a locale".');
+        });
+    });
+
     describe('min', function () {
         it('should reject values below min', function () {
             var o = new SO();
@@ -1522,6 +2251,250 @@ describe('Number', function () {
         });
     });
 
+    describe('integer', function () {
+        it('should reject numbers with decimals', function () {
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    integer: true
+                },
+                custom: {
+                    type: Number,
+                    integer: [true, 'Whole numbers only']
+                }
+            });
+
+            var o = new SO({
+                number: '12',
+                custom: 1.5
+            });
+            o.number.should.equal(12);
+            o.number = 12.5;
+            o.number.should.equal(12);
+
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['Whole numbers only', 1223],
+                ['Number must be an integer.', 1223]
+            ]);
+        });
+    });
+
+    describe('multipleOf', function () {
+        it('should reject numbers that are not a multiple', function () {
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    multipleOf: 0.05
+                }
+            });
+
+            var o = new SO();
+            o.number = 1.15;
+            o.number.should.equal(1.15);
+            o.number = 0.3;
+            o.number.should.equal(0.3);
+            o.number = 1.16;
+            o.number.should.equal(0.3);
+
+            o.getErrors().length.should.equal(1);
+            o.getErrors()[0].errorMessage.should.equal('Number is not a multiple of multipleOf requirement.');
+            o.getErrors()[0].errorCode.should.equal(1224);
+        });
+    });
+
+    describe('precision', function () {
+        it('should reject numbers with too many decimal places', function () {
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    precision: 2
+                }
+            });
+
+            var o = new SO();
+            o.number = 1.25;
+            o.number.should.equal(1.25);
+            o.number = 1.255;
+            o.number.should.equal(1.25);
+            o.number = 1e-7;
+            o.number.should.equal(1.25);
+            o.number = 5;
+            o.number.should.equal(5);
+
+            _.map(o.getErrors(), 'errorCode').should.eql([1225, 1225]);
+            o.getErrors()[0].errorMessage.should.equal('Number has too many decimal places to meet precision requirement.');
+        });
+
+        it('should round instead of rejecting when round is set', function () {
+            var SO = new SchemaObject({
+                halfUp: {
+                    type: Number,
+                    precision: 2,
+                    round: 'half-up'
+                },
+                bankers: {
+                    type: Number,
+                    precision: 2,
+                    round: 'bankers'
+                },
+                floor: {
+                    type: Number,
+                    precision: 0,
+                    round: 'floor'
+                }
+            });
+
+            var rounded = _.map([1.005, 2.675, 1.125, 1.135, -1.125, 1.1, 1e-7], function (value) {
+                var o = new SO({
+                    halfUp: value,
+                    bankers: value,
+                    floor: value
+                });
+                return [o.halfUp, o.bankers, o.floor];
+            });
+
+            rounded.should.eql([
+                [1.01, 1, 1],
+                [2.68, 2.68, 2],
+                [1.13, 1.12, 1],
+                [1.14, 1.14, 1],
+                [-1.13, -1.12, -2],
+                [1.1, 1.1, 1],
+                [0, 0, 0]
+            ]);
+        });
+
+        it('should round before min and max validation', function () {
+            var SO = new SchemaObject({
+                number: {
+                    type: Number,
+                    precision: 0,
+                    round: 'half-up',
+                    max: 10
+                }
+            });
+
+            new SO({
+                number: 10.4
+            }).number.should.equal(10);
+        });
+
+        it('should throw for unknown rounding modes', function () {
+            (function () {
+                new SchemaObject({
+                    number: {
+                        type: Number,
+                        precision: 2,
+                        round: 'up'
+                    }
+                });
+            }).should.throw('[schema-object] Unknown rounding mode "up".');
+        });
+    });
+
+    describe('positive / nonNegative', function () {
+        it('should reject zero and negative numbers', function () {
+            var SO = new SchemaObject({
+                positive: {
+                    type: Number,
+                    positive: true
+                },
+                nonNegative: {
+                    type: Number,
+                    nonNegative: [true, 'Quantity can\'t be negative']
+                }
+            });
+
+            var o = new SO({
+                positive: 0,
+                nonNegative: 0
+            });
+            should.not.exist(o.positive);
+            o.nonNegative.should.equal(0);
+            o.positive = 0.1;
+            o.positive.should.equal(0.1);
+            o.nonNegative = -1;
+            o.nonNegative.should.equal(0);
+
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['Number must be positive.', 1226],
+                ['Quantity can\'t be negative', 1227]
+            ]);
+        });
+    });
+
+    describe('JSON Schema', function () {
+        it('should export and import integer, multipleOf, precision and positive', function () {
+            var SO = new SchemaObject({
+                integer: {
+                    type: Number,
+                    integer: true
+                },
+                multipleOf: {
+                    type: Number,
+                    multipleOf: 5
+                },
+                precision: {
+                    type: Number,
+                    precision: 2
+                },
+                rounded: {
+                    type: Number,
+                    precision: 2,
+                    round: 'half-up'
+                },
+                positive: {
+                    type: Number,
+                    positive: true
+                },
+                nonNegative: {
+                    type: Number,
+                    nonNegative: true
+                }
+            });
+            var jsonSchema = SO.toJSONSchema();
+
+            jsonSchema.properties.should.eql({
+                integer: {
+                    type: 'integer'
+                },
+                multipleOf: {
+                    type: 'number',
+                    multipleOf: 5
+                },
+                precision: {
+                    type: 'number',
+                    multipleOf: 0.01
+                },
+                rounded: {
+                    type: 'number'
+                },
+                positive: {
+                    type: 'number',
+                    exclusiveMinimum: 0
+                },
+                nonNegative: {
+                    type: 'number',
+                    minimum: 0
+                }
+            });
+
+            var Imported = SchemaObject.fromJSONSchema(jsonSchema);
+            var o = new Imported({
+                integer: 1.5,
+                multipleOf: 7,
+                precision: 0.015,
+                positive: 0,
+                nonNegative: -1
+            });
+            _.map(o.getErrors(), 'errorCode').should.eql([1223, 1224, 1224, 1226, 1221]);
+        });
+    });
+
     describe('Errors', function () {
         var SOD = new SchemaObject({
             number: {
@@ -1771,999 +2744,3854 @@ describe('Number', function () {
     });
 });
 
-describe('Boolean', function () {
+describe('BigInt', function () {
+    var SO = new SchemaObject({
+        id: BigInt,
+        minMax: {
+            type: 'bigint',
+            min: 0,
+            max: '18446744073709551615'
+        }
+    });
+
     describe('typecasting', function () {
-        var SO = new SchemaObject({
-            boolean: Boolean
+        it('should typecast strings without losing precision', function () {
+            var o = new SO({
+                id: '9007199254740993'
+            });
+
+            (typeof o.id).should.equal('bigint');
+            o.id.toString().should.equal('9007199254740993');
+
+            o.id = ' -42 ';
+            o.id.should.equal(BigInt(-42));
         });
 
-        it('should typecast string to boolean', function () {
+        it('should typecast integers and booleans', function () {
             var o = new SO();
 
-            o.boolean = '123';
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(true);
-
-            o.boolean = 'true';
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(true);
+            o.id = 10;
+            o.id.should.equal(BigInt(10));
+            o.id = true;
+            o.id.should.equal(BigInt(1));
+            o.id = BigInt(7);
+            o.id.should.equal(BigInt(7));
+        });
 
-            o.boolean = '1';
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(true);
+        it('should reject decimals, non-numeric strings, arrays and objects', function () {
+            var o = new SO({
+                id: 1
+            });
 
-            o.boolean = 'false';
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(false);
+            o.id = 1.5;
+            o.id = '1.5';
+            o.id = '1e3';
+            o.id = [1];
+            o.id = {};
+            o.id.should.equal(BigInt(1));
+
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['BigInt could not be typecast from the provided Non-integer', 1106],
+                ['BigInt could not be typecast from the provided String', 1106],
+                ['BigInt could not be typecast from the provided String', 1106],
+                ['BigInt could not be typecast from the provided Array', 1106],
+                ['BigInt could not be typecast from the provided Object', 1106]
+            ]);
+        });
+
+        it('should reject numbers past the safe integer range', function () {
+            var o = new SO({
+                id: 9007199254740991
+            });
+            o.id.should.equal(BigInt('9007199254740991'));
 
-            o.boolean = '0';
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(false);
+            o.id = 9007199254740993;
+            o.id.should.equal(BigInt('9007199254740991'));
+            o.id = '9007199254740993';
+            o.id.should.equal(BigInt('9007199254740993'));
 
-            o.boolean = '-1';
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(false);
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['BigInt could not be typecast from the provided Unsafe integer', 1106]
+            ]);
         });
+    });
 
-        it('should typecast number to boolean', function () {
+    describe('min / max', function () {
+        it('should compare values as BigInt', function () {
             var o = new SO();
 
-            o.boolean = 1;
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(true);
-
-            o.boolean = 100;
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(true);
-
-            o.boolean = 0;
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(false);
+            o.minMax = '18446744073709551615';
+            o.minMax.toString().should.equal('18446744073709551615');
+            o.minMax = '18446744073709551616';
+            o.minMax = -1;
+            o.minMax.toString().should.equal('18446744073709551615');
 
-            o.boolean = -1;
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(false);
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['BigInt is too large to meet max requirement.', 1242],
+                ['BigInt is too small to meet min requirement.', 1241]
+            ]);
         });
+    });
 
-        it('should not typecast undefined or null', function () {
-            var o = new SO();
-
-            o.boolean = true;
-            o.boolean.should.be.a.Boolean;
-            o.boolean.should.equal(true);
-
-            o.boolean = undefined;
-            should.not.exist(o.boolean);
+    describe('serialization', function () {
+        it('should keep BigInt in toObject() and write strings in toJSON()', function () {
+            var Ledger = new SchemaObject({
+                id: BigInt,
+                entries: [{
+                    id: BigInt
+                }]
+            });
+            var o = new Ledger({
+                id: '9007199254740993',
+                entries: [{
+                    id: 1
+                }]
+            });
 
-            o.boolean = null;
-            should.not.exist(o.boolean);
+            o.toObject().id.should.equal(BigInt('9007199254740993'));
+            o.toObject().entries[0].id.should.equal(BigInt(1));
+            JSON.stringify(o).should.equal('{"id":"9007199254740993","entries":[{"id":"1"}]}');
+            JSON.stringify(o.entries).should.equal('[{"id":"1"}]');
         });
     });
+});
 
-    describe('booleanTransform', function () {
-        var SO = new SchemaObject({
-            boolean: {
-                type: Boolean,
-                booleanTransform: function (boolean) {
-                    return !boolean;
-                }
-            }
-        });
+describe('Decimal', function () {
+    var SO = new SchemaObject({
+        decimal: 'decimal',
+        amount: {
+            type: 'decimal',
+            precision: 10,
+            scale: 2
+        }
+    });
 
-        it('should always reverse boolean', function () {
+    describe('typecasting', function () {
+        it('should typecast strings and numbers to canonical decimal strings', function () {
             var o = new SO();
 
-            o.boolean = true;
-            o.boolean.should.equal(false);
+            _.map(['0012.3400', '-0.5', '+.5', '-0.00', 12.5, 1e-7, 1.5e21, ' 3 ', BigInt('123456789012345678901')], function (value) {
+                o.decimal = value;
+                return o.decimal;
+            }).should.eql(['12.34', '-0.5', '0.5', '0', '12.5', '0.0000001', '1500000000000000000000', '3', '123456789012345678901']);
+            o.getErrors().length.should.equal(0);
         });
-    });
-});
 
-describe('Object', function () {
-    describe('accessing properties', function () {
-        var SO = new SchemaObject({
-            anObject: {}
+        it('should keep every digit', function () {
+            var o = new SO({
+                decimal: '12345678901234567890.123456789'
+            });
+
+            o.decimal.should.equal('12345678901234567890.123456789');
         });
 
-        it('should set properties without initializing object', function () {
-            var o = new SO();
+        it('should reject values that are not decimals', function () {
+            var o = new SO({
+                decimal: '1'
+            });
 
-            o.anObject.prop = 123;
-            should.exist(o.anObject.prop);
-            o.anObject.prop.should.equal(123);
+            o.decimal = 'abc';
+            o.decimal = '1,5';
+            o.decimal = NaN;
+            o.decimal = true;
+            o.decimal = [1];
+            o.decimal.should.equal('1');
+
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['Decimal could not be typecast from the provided String', 1107],
+                ['Decimal could not be typecast from the provided String', 1107],
+                ['Decimal could not be typecast from the provided Non-numeric', 1107],
+                ['Decimal could not be typecast from the provided Non-numeric', 1107],
+                ['Decimal could not be typecast from the provided Array', 1107]
+            ]);
         });
     });
 
-    describe('schema', function () {
-        var Profile = new SchemaObject({
-            firstName: String,
-            age: Number,
-            notEmptyString: {
-                type: String,
-                minLength: 1
-            },
-            rootTest: {
-                type: 'any',
-                getter: function () {
-                    return this.age;
-                }
-            }
+    describe('precision / scale', function () {
+        it('should pad the fraction to scale', function () {
+            var o = new SO({
+                amount: 5
+            });
+
+            o.amount.should.equal('5.00');
+            o.amount = '-1234.5';
+            o.amount.should.equal('-1234.50');
         });
-        var SO = new SchemaObject({
-            age: Number,
-            profile: Profile,
-            shorthandProfile: {
-                firstName: String,
-                age: Number,
-                name: 'string',
-                notEmptyString: {
-                    type: String,
-                    minLength: 1
-                },
-                rootTest: {
-                    type: 'any',
-                    getter: function () {
-                        // Should return age from the root object.
-                        return this.age;
+
+        it('should reject values with too many decimal places or digits', function () {
+            var o = new SO({
+                amount: '99999999.99'
+            });
+
+            o.amount = '1.005';
+            o.amount = '100000000';
+            o.amount.should.equal('99999999.99');
+
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['Decimal has too many decimal places to meet scale requirement.', 1252],
+                ['Decimal has too many digits to meet precision requirement.', 1251]
+            ]);
+        });
+
+        it('should throw when scale is greater than precision', function () {
+            (function () {
+                new SchemaObject({
+                    amount: {
+                        type: 'decimal',
+                        precision: 2,
+                        scale: 4
                     }
-                }
-            }
-        }, {
-            toObject: function (obj) {
-                return {
-                    age: obj.shorthandProfile.age
-                };
-            }
+                });
+            }).should.throw('[schema-object] Decimal scale can\'t be greater than precision.');
         });
+    });
 
-        it('should allow nested schemas', function () {
-            var o = new SO();
+    describe('serialization', function () {
+        it('should write strings in toObject() and toJSON()', function () {
+            var o = new SO({
+                amount: '0.1'
+            });
 
-            o.profile.firstName = 123;
-            o.profile.firstName.should.be.a.String;
-            o.profile.firstName.should.equal('123');
+            o.toObject().should.eql({
+                amount: '0.10'
+            });
+            JSON.stringify(o).should.equal('{"amount":"0.10"}');
+        });
+    });
+});
 
-            o.profile.age = '23';
-            o.profile.age.should.be.a.Number;
-            o.profile.age.should.equal(23);
+describe('Buffer', function () {
+    var SO = new SchemaObject({
+        thumbnail: 'buffer',
+        hash: {
+            type: 'buffer',
+            encoding: 'hex',
+            minLength: 2,
+            maxLength: [4, 'Hash is too long']
+        },
+        raw: Buffer
+    });
 
-            o.profile.notEmptyString = '';
-            should.not.exist(o.profile.notEmptyString);
+    describe('typecasting', function () {
+        it('should keep Buffers', function () {
+            var o = new SO();
+            var buffer = Buffer.from('hello');
+
+            o.thumbnail = buffer;
+            o.thumbnail.should.equal(buffer);
         });
 
-        it('should allow default values', function () {
-            var ModelWithDefaults = new SchemaObject({
-                profile: {
-                    type: Profile,
-                    default: function () {
-                        return new Profile({
-                            firstName: 'Jane'
-                        });
-                    }
-                }
-            });
+        it('should typecast typed arrays and ArrayBuffers', function () {
+            var o = new SO();
 
-            var m = new ModelWithDefaults();
+            o.raw = new Uint16Array([1, 2]);
+            Buffer.isBuffer(o.raw).should.be.true();
+            Array.from(o.raw).should.eql([1, 0, 2, 0]);
 
-            m.profile.firstName.should.equal('Jane');
+            o.raw = new Uint8Array([3]).buffer;
+            Array.from(o.raw).should.eql([3]);
         });
 
-        it('should allow shorthand declaration of nested schema', function () {
-            var o = new SO();
+        it('should decode base64 strings by default', function () {
+            var o = new SO({thumbnail: 'aGVsbG8='});
 
-            o.shorthandProfile.firstName = 123;
-            o.shorthandProfile.firstName.should.be.a.String;
-            o.shorthandProfile.firstName.should.equal('123');
+            o.thumbnail.toString().should.equal('hello');
+        });
 
-            o.shorthandProfile.age = '23';
-            o.shorthandProfile.age.should.be.a.Number;
-            o.shorthandProfile.age.should.equal(23);
+        it('should decode strings with the encoding', function () {
+            var o = new SO({hash: 'deadbeef'});
 
-            o.shorthandProfile.notEmptyString = '';
-            should.not.exist(o.shorthandProfile.notEmptyString);
+            o.hash.toString('hex').should.equal('deadbeef');
         });
 
-        it('should not inherit toObject when nested schema is used', function () {
+        it('should reject strings that are not encoded', function () {
             var o = new SO();
 
-            o.shorthandProfile.age = 50;
-            var obj = o.toObject();
-            obj.age.should.equal(50);
+            o.thumbnail = 'not base64';
+            o.hash = 'zz';
+            o.getErrors().map(function (error) {
+                return [error.errorCode, error.errorMessage];
+            }).should.eql([
+                [1113, 'Buffer could not be typecast from the provided String'],
+                [1113, 'Buffer could not be typecast from the provided String']
+            ]);
         });
 
-        it('should NOT set "this" to root object when nested schema shorthand is NOT used', function () {
+        it('should reject numbers, arrays and objects', function () {
             var o = new SO();
-            var o2 = new SO();
-
-            o.age = 20;
-            o.profile.age = 60;
-            o2.age = 50;
-            o2.profile.age = 30;
 
-            o.profile.rootTest.should.equal(60);
-            o2.profile.rootTest.should.equal(30);
+            o.thumbnail = 1;
+            o.thumbnail = [1];
+            o.thumbnail = {};
+            o.getErrors().map(function (error) {
+                return error.errorMessage;
+            }).should.eql([
+                'Buffer could not be typecast from the provided Number',
+                'Buffer could not be typecast from the provided Array',
+                'Buffer could not be typecast from the provided Object'
+            ]);
         });
 
-        it('should set "this" to root object when nested schema shorthand is used', function () {
-            var o = new SO();
-            var o2 = new SO();
+        it('should clear value when set to empty string', function () {
+            var o = new SO({thumbnail: 'aGk='});
 
-            o.age = 20;
-            o.shorthandProfile.age = 60;
-            o2.age = 50;
-            o2.shorthandProfile.age = 30;
+            o.thumbnail = '';
+            should.not.exist(o.thumbnail);
+        });
 
-            o.shorthandProfile.rootTest.should.equal(20);
-            o2.shorthandProfile.rootTest.should.equal(50);
+        it('should throw on unknown encodings', function () {
+            (function () {
+                new SchemaObject({file: {type: 'buffer', encoding: 'utf8'}});
+            }).should.throw('[schema-object] Unknown buffer encoding "utf8".');
         });
+    });
 
-        it('should allow shorthand declaration of nested schema to use "name" index', function () {
+    describe('minLength / maxLength', function () {
+        it('should validate length in bytes', function () {
             var o = new SO();
 
-            o.shorthandProfile.name = 123;
-            o.shorthandProfile.name.should.be.a.String;
-            o.shorthandProfile.name.should.equal('123');
+            o.hash = 'aa';
+            o.hash = 'aabbccddee';
+            o.getErrors().map(function (error) {
+                return [error.errorCode, error.errorMessage];
+            }).should.eql([
+                [1281, 'Buffer length too short to meet minLength requirement.'],
+                [1282, 'Hash is too long']
+            ]);
         });
     });
-});
 
-describe('Array', function () {
-    describe('construction', function () {
-        it('should allow you to pass an array to SchemaObject constructor for Array-type fields', function () {
-            var SO = new SchemaObject({
-                strings: [String]
-            });
+    describe('serialization', function () {
+        it('should return the raw buffer from toObject()', function () {
+            var o = new SO({thumbnail: 'aGk='});
 
-            var o = new SO({
-                strings: ['hello', 'world']
-            });
-            o.strings.should.have.lengthOf(2);
-            o.strings[0].should.be.a.String;
-            o.strings[0].should.equal('hello');
-            o.strings[1].should.be.a.String;
-            o.strings[1].should.equal('world');
+            Buffer.isBuffer(o.toObject().thumbnail).should.be.true();
+            o.toObject().thumbnail.toString().should.equal('hi');
         });
 
-        it('should allow you to pass an array to SchemaObject constructor for Array-type fields within other objects', function () {
-            var SO = new SchemaObject({
-                obj: {
-                    strings: [String]
-                }
-            });
+        it('should serialize as base64 with toJSON()', function () {
+            var o = new SO({thumbnail: 'aGk=', hash: 'deadbeef'});
 
-            var o = new SO({
-                obj: {
-                    strings: ['hello', 'world']
-                }
-            });
-            o.obj.strings.should.have.lengthOf(2);
-            o.obj.strings[0].should.be.a.String;
-            o.obj.strings[0].should.equal('hello');
-            o.obj.strings[1].should.be.a.String;
-            o.obj.strings[1].should.equal('world');
+            JSON.parse(JSON.stringify(o)).should.eql({thumbnail: 'aGk=', hash: '3q2+7w=='});
         });
-    });
 
-    describe('accessing properties', function () {
-        var SO = new SchemaObject({
-            strings: [String]
-        });
+        it('should export to JSON Schema as base64 strings', function () {
+            SO.toJSONSchema().properties.thumbnail.should.eql({type: 'string', contentEncoding: 'base64'});
 
-        it('should set properties without initializing array', function () {
-            var o = new SO();
+            var Imported = SchemaObject.fromJSONSchema(SO.toJSONSchema());
+            new Imported({thumbnail: 'aGk='}).thumbnail.toString().should.equal('hi');
+        });
 
-            o.strings.push(123);
-            o.strings[0].should.equal('123');
+        it('should generate Uint8Array types', function () {
+            SchemaObject.generateTypeScript({SO: SO}).should.containEql('thumbnail?: Uint8Array;');
         });
     });
+});
 
-    describe('typecasting', function () {
-        var SO = new SchemaObject({
-            strings: [String],
-            transformedStrings: [{
-                type: String,
-                stringTransform: function (string) {
-                    return string.toLowerCase();
-                }
-            }],
-            profiles: [{
-                firstName: String,
-                lastName: String
-            }]
-        });
+describe('registerType()', function () {
+    function ObjectId(hex) {
+        this.hex = hex;
+    }
 
-        it('should typecast all array elements to string', function () {
-            var o = new SO();
+    SchemaObject.registerType('objectId', {
+        cast: function (value) {
+            if (value instanceof ObjectId) {
+                return value;
+            }
+            if (_.isString(value) && /^[0-9a-f]{24}$/i.test(value)) {
+                return new ObjectId(value.toLowerCase());
+            }
+        },
+        toObject: function (value) {
+            return value.hex;
+        },
+        toJSONSchema: function () {
+            return {
+                type: 'string',
+                pattern: '^[0-9a-f]{24}$'
+            };
+        }
+    });
 
-            o.strings.push(123);
-            o.strings.should.have.lengthOf(1);
-            o.strings[0].should.be.a.String;
-            o.strings[0].should.equal('123');
-        });
+    SchemaObject.registerType('money', {
+        cast: function (value, properties) {
+            var match = /^(\d+(?:\.\d{1,2})?) ([A-Z]{3})$/.exec(value);
+            if (!match) {
+                throw new Error('Money must be formatted as "1.00 USD".');
+            }
+            return {
+                amount: Number(match[1]),
+                currency: match[2]
+            };
+        },
+        validate: function (value, properties) {
+            if (properties.currencies && properties.currencies.indexOf(value.currency) === -1) {
+                return 'Currency is not accepted.';
+            }
+        }
+    });
 
-        it('should typecast Array when set to instance of existing array', function () {
-            var o = new SO();
-            o.strings = [123, 321];
+    var SO = new SchemaObject({
+        id: 'objectId',
+        friends: ['objectId'],
+        price: {
+            type: 'money',
+            currencies: ['USD', 'EUR'],
+            validate: function (value) {
+                return value.amount > 0;
+            }
+        }
+    });
 
-            o.strings.should.be.an.instanceof(Array);
-            o.strings[0].should.be.a.String;
-            o.strings[0].should.equal('123');
-            o.strings[1].should.be.a.String;
-            o.strings[1].should.equal('321');
+    it('should typecast with the registered type', function () {
+        var o = new SO({
+            id: '507F1F77BCF86CD799439011',
+            price: '10.50 USD'
         });
 
-        it('should transform all strings to lowercase', function () {
-            var o = new SO();
+        o.id.should.be.an.instanceof(ObjectId);
+        o.id.hex.should.equal('507f1f77bcf86cd799439011');
+        o.price.should.eql({
+            amount: 10.5,
+            currency: 'USD'
+        });
+        o.getErrors().length.should.equal(0);
+    });
 
-            o.transformedStrings.push('HELLO');
-            o.transformedStrings.should.have.lengthOf(1);
-            o.transformedStrings[0].should.be.a.String;
-            o.transformedStrings[0].should.equal('hello');
+    it('should reject values that can\'t be cast or validated', function () {
+        var o = new SO({
+            id: '507f1f77bcf86cd799439011',
+            price: '1.00 USD'
+        });
+
+        o.id = 'abc';
+        o.price = '1,00 USD';
+        o.price = '1.00 BRL';
+        o.price = '0 EUR';
+        o.id.hex.should.equal('507f1f77bcf86cd799439011');
+        o.price.amount.should.equal(1);
+
+        _.map(o.getErrors(), function (error) {
+            return [error.errorMessage, error.errorCode, error.setValue];
+        }).should.eql([
+            ['Value could not be typecast to objectid.', 1108, 'abc'],
+            ['Money must be formatted as "1.00 USD".', 1108, '1,00 USD'],
+            ['Currency is not accepted.', 1202, {amount: 1, currency: 'BRL'}],
+            ['Value failed custom validation.', 1202, {amount: 0, currency: 'EUR'}]
+        ]);
+    });
+
+    it('should clear values like other types', function () {
+        var o = new SO({
+            id: '507f1f77bcf86cd799439011',
+            price: '1.00 USD'
         });
 
-        it('should allow you to set new schema objects', function () {
-            var o = new SO();
+        o.id = null;
+        should.not.exist(o.id);
+        o.price = '1.00 USD';
+        o.clear();
+        should.not.exist(o.price);
+    });
 
-            o.profiles = [{
-                firstName: 'Scott',
-                lastName: 'Hovestadt'
-            }, {
-                firstName: 1234,
-                lastName: 4321
-            }];
-            o.profiles.should.have.lengthOf(2);
-            o.profiles[0].firstName.should.equal('Scott');
-            o.profiles[0].lastName.should.equal('Hovestadt');
-            o.profiles[1].firstName.should.be.a.String;
-            o.profiles[1].firstName.should.equal('1234');
-            o.profiles[1].lastName.should.be.a.String;
-            o.profiles[1].lastName.should.equal('4321');
+    it('should serialize with the type in toObject() and toJSON()', function () {
+        var o = new SO({
+            id: '507f1f77bcf86cd799439011',
+            friends: ['507f191e810c19729de860ea'],
+            price: '5.00 EUR'
+        });
 
-            o.profiles = [{
-                firstName: 'Replaced',
-                lastName: 'Elements'
-            }];
-            o.profiles.should.have.lengthOf(1);
-            o.profiles[0].firstName.should.equal('Replaced');
-            o.profiles[0].lastName.should.equal('Elements');
+        o.toObject().should.eql({
+            id: '507f1f77bcf86cd799439011',
+            friends: ['507f191e810c19729de860ea'],
+            price: {
+                amount: 5,
+                currency: 'EUR'
+            }
         });
+        JSON.parse(JSON.stringify(o)).should.eql(o.toObject());
+        SO.validate({
+            id: '507f1f77bcf86cd799439011'
+        }).value.should.eql({
+            id: '507f1f77bcf86cd799439011'
+        });
+    });
 
-        it('should allow you to push() in new schema objects', function () {
-            var o = new SO();
+    it('should export the JSON Schema of the type', function () {
+        SO.toJSONSchema().properties.id.should.eql({
+            type: 'string',
+            pattern: '^[0-9a-f]{24}$'
+        });
+        SO.toJSONSchema().properties.price.should.eql({});
+    });
 
-            o.profiles.push({
-                firstName: 4321
+    it('should not replace built-in types', function () {
+        (function () {
+            SchemaObject.registerType('Number', {
+                cast: Number
             });
-            o.profiles.should.have.lengthOf(1);
-            o.profiles[0].firstName.should.be.a.String;
-            o.profiles[0].firstName.should.equal('4321');
-        });
+        }).should.throw('[schema-object] Type "number" is built in and can\'t be registered.');
 
-        it('should enforce types on existing array elements', function () {
-            var o = new SO();
+        (function () {
+            SchemaObject.registerType('point', {});
+        }).should.throw('[schema-object] Type "point" must have a cast function.');
+    });
+});
 
-            o.profiles.push({
-                firstName: 4321
-            });
-            o.profiles.should.have.lengthOf(1);
-            o.profiles[0].firstName.should.be.a.String;
-            o.profiles[0].firstName.should.equal('4321');
+describe('oneOf', function () {
+    var Document = new SchemaObject({
+        id: Number,
+        name: String
+    });
 
-            o.profiles[0].firstName = 1234;
-            o.profiles[0].firstName.should.be.a.String;
-            o.profiles[0].firstName.should.equal('1234');
-        });
+    var SO = new SchemaObject({
+        ref: {
+            oneOf: [Number, Document]
+        },
+        value: {
+            oneOf: [Number, String, [Number]],
+            match: 'strict'
+        },
+        tags: [{
+            oneOf: [Number, Boolean],
+            match: 'strict'
+        }]
     });
 
-    describe('unique', function () {
-        var SO = new SchemaObject({
-            uniqueStrings: {
-                type: Array,
-                unique: true,
-                arrayType: String
-            },
-            unique: {
-                type: Array,
-                unique: true
-            }
+    it('should typecast with the first type that accepts the value', function () {
+        var o = new SO({
+            ref: '123'
         });
+        o.ref.should.equal(123);
+        o.getMatchedBranch('ref').should.equal(0);
 
-        it('should enforce unique values within array with typecasting', function () {
-            var o = new SO();
+        o.ref = {
+            id: '5',
+            name: 'Legacy'
+        };
+        o.ref.id.should.equal(5);
+        o.ref.name.should.equal('Legacy');
+        o.getMatchedBranch('ref').should.equal(1);
+        o.getErrors().length.should.equal(0);
+    });
 
-            o.uniqueStrings.push(1234);
-            o.uniqueStrings.should.have.lengthOf(1);
-            o.uniqueStrings.push('1234');
-            o.uniqueStrings.should.have.lengthOf(1);
-            o.uniqueStrings.push('12345');
-            o.uniqueStrings.should.have.lengthOf(2);
+    it('should try types accepting the value without conversion first with the strict match', function () {
+        var o = new SO({
+            value: '123'
         });
+        o.value.should.equal('123');
+        o.getMatchedBranch('value').should.equal(1);
 
-        it('should enforce unique values within array without typecasting', function () {
-            var o = new SO();
+        o.value = 123;
+        o.value.should.equal(123);
+        o.getMatchedBranch('value').should.equal(0);
 
-            o.unique.push('scott');
-            o.unique.should.have.lengthOf(1);
-            o.unique.push('scott');
-            o.unique.should.have.lengthOf(1);
-            o.unique.push('Scott');
-            o.unique.should.have.lengthOf(2);
-        });
+        o.value = ['1', 2];
+        o.value.toArray().should.eql([1, 2]);
+        o.getMatchedBranch('value').should.equal(2);
     });
 
-    describe('filter', function () {
-        var SO = new SchemaObject({
-            filtered: {
-                type: Array,
-                arrayType: String,
-                filter: function (str) {
-                    return str.toLowerCase() === str;
-                }
-            }
+    it('should report the failure of each type when no type accepts the value', function () {
+        var o = new SO({
+            ref: 1
         });
+        o.ref = 'abc';
+        o.ref.should.equal(1);
 
-        it('should filter array to only lowercase strings when push used', function () {
-            var o = new SO();
-            o.filtered.push('SCOTT');
-            o.filtered.should.have.lengthOf(0);
-            o.filtered.push('scott');
-            o.filtered.should.have.lengthOf(1);
-        });
+        var errors = o.getErrors();
+        errors.length.should.equal(1);
+        errors[0].errorCode.should.equal(1109);
+        errors[0].errorMessage.should.equal('Value did not match any type of oneOf: ' +
+            '[0] Number could not be typecast from the provided String [1] Object type cannot typecast non-Object types.');
+        _.map(errors[0].branchErrors, 'errorCode').should.eql([1102, 1104]);
+    });
 
-        it('should filter array to only lowercase strings when set to instance of existing array', function () {
-            var o = new SO();
-            var arr = ['SCOTT', 'scott'];
-            o.filtered = arr;
-            o.filtered.should.have.lengthOf(1);
-            arr.should.have.lengthOf(2);
+    it('should typecast array elements', function () {
+        var o = new SO({
+            tags: [1, '2', true]
         });
+        o.tags.toArray().should.eql([1, 2, true]);
     });
 
-    describe('Array prototype', function () {
-        var SO = new SchemaObject({
-            verified: [String],
-            unverified: [String]
+    it('should clear the matched type', function () {
+        var o = new SO({
+            ref: 1
         });
+        o.ref = null;
+        should.not.exist(o.ref);
+        should.not.exist(o.getMatchedBranch('ref'));
 
-        it('concat', function () {
-            var o = new SO();
-            o.verified = ['hello'];
-            o.unverified = ['world'];
-            var all = o.verified.concat(o.unverified, ['!']);
-            all.should.be.an.instanceOf(Array);
-            all.should.have.property('toArray');
-            all.should.have.lengthOf(3);
-            all[0].should.be.a.String;
-            all[0].should.equal('hello');
-            all[1].should.be.a.String;
-            all[1].should.equal('world');
-            all[2].should.be.a.String;
-            all[2].should.equal('!');
-            o.verified.should.have.lengthOf(1);
-            o.verified[0].should.equal('hello');
-            o.unverified.should.have.lengthOf(1);
-            o.unverified[0].should.equal('world');
-        });
+        o.ref = 1;
+        o.clear();
+        should.not.exist(o.getMatchedBranch('ref'));
     });
 
-    describe('toArray', function () {
-        var SO = new SchemaObject({
-            strings: {
-                type: Array,
-                unique: true,
-                arrayType: String
+    it('should report errors of the matched sub-object with the field name', function () {
+        var o = new SO({
+            ref: {
+                id: 'bad'
             }
         });
+        o.getMatchedBranch('ref').should.equal(1);
 
-        it('should return native Array', function () {
-            var o = new SO();
+        var errors = o.getErrors();
+        errors.length.should.equal(1);
+        errors[0].errorCode.should.equal(1102);
+        errors[0].fieldSchema.name.should.equal('ref.id');
 
-            o.strings.push(1234);
-            var array = o.strings.toArray();
-            array.should.be.an.instanceOf(Array);
-            array.should.not.have.property('toArray');
-            array[0].should.be.equal('1234');
+        var result = SO.validate({
+            ref: {
+                id: 'bad'
+            }
         });
+        _.map(result.errors, 'errorCode').should.eql([1102]);
+        _.map(result.errors, 'fieldSchema.name').should.eql(['ref.id']);
 
-        it('should be used for serializing an object to JSON', function () {
-            var o = new SO();
+        o.clearErrors();
+        o.getErrors().length.should.equal(0);
 
-            o.strings.push(1234);
-            var arrayStr = JSON.stringify(o.strings.toArray());
-            var jsonArrStr = JSON.stringify(o.strings);
-            arrayStr.should.equal(jsonArrStr);
-        });
+        o.ref = 1;
+        o.getErrors().length.should.equal(0);
     });
-});
 
-describe('Date', function () {
-    describe('typecasting', function () {
-        var SO = new SchemaObject({
-            date: Date
+    it('should run asynchronous validators of the matched sub-object', function () {
+        var Async = new SchemaObject({
+            ref: {
+                oneOf: [Number, {
+                    z: {
+                        type: Number,
+                        validateAsync: function (value) {
+                            return Promise.resolve(value > 0);
+                        }
+                    }
+                }]
+            }
         });
 
-        it('should accept Date type', function () {
-            var o = new SO();
+        return new Async({
+            ref: {
+                z: -1
+            }
+        }).validateAsync().then(function (errors) {
+            _.map(errors, 'errorCode').should.eql([1201]);
+            _.map(errors, 'fieldSchema.name').should.eql(['ref.z']);
+        });
+    });
 
-            var now = new Date();
-            o.date = now;
-            o.date.should.be.an.instanceof(Date);
-            o.date.getMonth().should.equal(now.getMonth());
-            o.date.getDate().should.equal(now.getDate());
-            o.date.getFullYear().should.equal(now.getFullYear());
+    it('should serialize sub-objects in toObject()', function () {
+        new SO({
+            ref: {
+                id: 1
+            }
+        }).toObject().should.eql({
+            ref: {
+                id: 1
+            }
         });
+    });
 
-        it('should typecast string "June 21, 1988" to date', function () {
-            var o = new SO();
+    it('should validate plain values like an instance', function () {
+        _.each([{ref: '1'}, {ref: {id: '2'}}, {ref: {id: 'bad'}}, {ref: 'abc'}, {value: [1, '2']}, {value: true}, {tags: ['1', false]}], function (values) {
+            var o = new SO(values);
+            var result = SO.validate(values);
 
-            o.date = 'June 21, 1988';
-            o.date.should.be.an.instanceof(Date);
-            o.date.getMonth().should.equal(5);
-            o.date.getDate().should.equal(21);
-            o.date.getFullYear().should.equal(1988);
+            result.value.should.eql(o.toObject());
+            _.map(result.errors, 'errorMessage').should.eql(_.map(o.getErrors(), 'errorMessage'));
         });
+    });
 
-        it('should typecast string "06/21/1988" to date', function () {
-            var o = new SO();
-
-            o.date = '06/21/1988';
-            o.date.should.be.an.instanceof(Date);
-            o.date.getMonth().should.equal(5);
-            o.date.getDate().should.equal(21);
-            o.date.getFullYear().should.equal(1988);
+    it('should export anyOf to JSON Schema and a union to TypeScript', function () {
+        SO.toJSONSchema().properties.ref.should.eql({
+            anyOf: [{
+                type: 'number'
+            }, {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'number'
+                    },
+                    name: {
+                        type: 'string'
+                    }
+                }
+            }]
         });
 
-        it('should typecast string "6/21/1988" to date', function () {
-            var o = new SO();
+        SchemaObject.generateTypeScript({
+            Entry: SO
+        }).should.containEql('    value?: number | string | Array<number>;');
+    });
 
-            o.date = '6/21/1988';
-            o.date.should.be.an.instanceof(Date);
-            o.date.getMonth().should.equal(5);
-            o.date.getDate().should.equal(21);
-            o.date.getFullYear().should.equal(1988);
+    it('should throw for invalid oneOf properties', function () {
+        (function () {
+            new SchemaObject({
+                ref: {
+                    oneOf: []
+                }
+            });
+        }).should.throw('[schema-object] oneOf must be a non-empty array of types.');
+
+        (function () {
+            new SchemaObject({
+                ref: {
+                    oneOf: [Number],
+                    match: 'best'
+                }
+            });
+        }).should.throw('[schema-object] Unknown oneOf match "best".');
+    });
+});
+
+describe('discriminator', function () {
+    var Card = new SchemaObject({
+        kind: String,
+        number: {
+            type: String,
+            minLength: 16
+        },
+        installments: {
+            type: Number,
+            default: 1
+        }
+    });
+
+    var Pix = new SchemaObject({
+        kind: String,
+        key: String
+    });
+
+    var SO = new SchemaObject({
+        method: {
+            type: Object,
+            discriminator: 'kind',
+            mapping: {
+                card: Card,
+                pix: Pix,
+                boleto: {
+                    kind: String,
+                    barcode: String
+                }
+            }
+        },
+        history: [{
+            type: Object,
+            discriminator: 'kind',
+            mapping: {
+                card: Card,
+                pix: Pix
+            }
+        }]
+    });
+
+    it('should typecast with the type mapped to the discriminator', function () {
+        var o = new SO({
+            method: {
+                kind: 'card',
+                number: 4111111111111111
+            }
         });
 
-        it('should reject nonsense strings', function () {
-            var o = new SO();
+        o.method.number.should.equal('4111111111111111');
+        o.method.installments.should.equal(1);
 
-            o.date = 'not a date';
-            should.not.exist(o.date);
-            o.getErrors().length.should.equal(1);
-            o.isErrors().should.equal(true);
+        o.method = {
+            kind: 'boleto',
+            barcode: 123
+        };
+        o.method.barcode.should.equal('123');
+        should.not.exist(o.method.number);
+
+        o.toObject().should.eql({
+            method: {
+                kind: 'boleto',
+                barcode: '123'
+            }
         });
+        o.getErrors().length.should.equal(0);
+    });
 
-        it('should typecast integer timestamp seconds to date', function () {
-            var o = new SO();
+    it('should report errors of the sub-object', function () {
+        var o = new SO({
+            method: {
+                kind: 'card',
+                number: '123'
+            }
+        });
 
-            o.date = 582879600;
-            o.date.should.be.an.instanceof(Date);
-            o.date.getTime().should.equal(582879600000);
-            o.date.getMonth().should.equal(5);
-            o.date.getDate().should.equal(21);
-            o.date.getFullYear().should.equal(1988);
+        _.map(o.getErrors(), function (error) {
+            return [error.errorCode, error.fieldSchema.name];
+        }).should.eql([
+            [1212, 'method.number']
+        ]);
+
+        o.clearErrors();
+        o.isErrors().should.be.false();
+    });
+
+    it('should reject objects without a mapped discriminator', function () {
+        var o = new SO({
+            method: {
+                kind: 'pix',
+                key: 'a'
+            }
         });
 
-        it('should typecast integer timestamp milliseconds to date', function () {
-            var o = new SO();
+        o.method = {
+            kind: 'cash'
+        };
+        o.method = {};
+        o.method.key.should.equal('a');
+
+        _.map(o.getErrors(), function (error) {
+            return [error.errorMessage, error.errorCode];
+        }).should.eql([
+            ['Object type could not be selected from discriminator "kind", expected one of: card, pix, boleto.', 1110],
+            ['Object type could not be selected from discriminator "kind", expected one of: card, pix, boleto.', 1110]
+        ]);
+    });
 
-            o.date = 582879600000;
-            o.date.should.be.an.instanceof(Date);
-            o.date.getTime().should.equal(582879600000);
-            o.date.getMonth().should.equal(5);
-            o.date.getDate().should.equal(21);
-            o.date.getFullYear().should.equal(1988);
+    it('should not initialize discriminated objects', function () {
+        var o = new SO();
+        should.not.exist(o.method);
+        o.toObject().should.eql({});
+
+        o.method = {
+            kind: 'pix'
+        };
+        o.clear();
+        should.not.exist(o.method);
+    });
+
+    it('should typecast array elements', function () {
+        var o = new SO({
+            history: [{
+                kind: 'pix',
+                key: 1
+            }, {
+                kind: 'card'
+            }, {
+                kind: 'boleto'
+            }]
         });
 
-        it('should reject boolean', function () {
-            var o = new SO();
+        o.history.toArray().should.eql([{
+            kind: 'pix',
+            key: '1'
+        }, {
+            kind: 'card',
+            installments: 1
+        }]);
+        _.map(o.getErrors(), 'errorCode').should.eql([1110]);
+    });
 
-            o.date = true;
-            should.not.exist(o.date);
-            o.getErrors().length.should.equal(1);
-            o.isErrors().should.equal(true);
+    it('should validate plain values like an instance', function () {
+        _.each([
+            {method: {kind: 'card', number: '123'}},
+            {method: {kind: 'boleto', barcode: 1}},
+            {method: {kind: 'cash'}},
+            {history: [{kind: 'card'}, {kind: 'pix', key: 1}, {}]}
+        ], function (values) {
+            var o = new SO(values);
+            var result = SO.validate(values);
+
+            result.value.should.eql(o.toObject());
+            _.map(result.errors, function (error) {
+                return [error.errorMessage, error.fieldSchema.name];
+            }).should.eql(_.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.fieldSchema.name];
+            }));
+        });
+    });
 
-            o.date = false;
-            should.not.exist(o.date);
-            o.getErrors().length.should.equal(2);
-            o.isErrors().should.equal(true);
+    it('should export each type with its discriminator value to JSON Schema', function () {
+        SO.toJSONSchema().properties.method.oneOf[1].should.eql({
+            properties: {
+                kind: {
+                    type: 'string',
+                    const: 'pix'
+                },
+                key: {
+                    type: 'string'
+                }
+            },
+            required: ['kind']
         });
 
-        it('should reject array', function () {
-            var o = new SO();
+        SchemaObject.generateTypeScript({
+            Payment: SO,
+            Card: Card,
+            Pix: Pix
+        }).should.containEql('    method?: Card | Pix | {');
+    });
 
-            o.date = ['h', 'e', 'l', 'l', 'o'];
-            should.not.exist(o.date);
-            o.getErrors().length.should.equal(1);
-            o.isErrors().should.equal(true);
+    it('should throw for invalid mappings', function () {
+        (function () {
+            new SchemaObject({
+                method: {
+                    type: Object,
+                    discriminator: 'kind'
+                }
+            });
+        }).should.throw('[schema-object] Discriminator must be a field name with a mapping of types.');
+
+        (function () {
+            new SchemaObject({
+                method: {
+                    type: Object,
+                    discriminator: 'kind',
+                    mapping: {
+                        card: String
+                    }
+                }
+            });
+        }).should.throw('[schema-object] Discriminator mapping "card" must be a SchemaObject or a schema.');
+    });
+});
+
+describe('Boolean', function () {
+    describe('typecasting', function () {
+        var SO = new SchemaObject({
+            boolean: Boolean
         });
 
-        it('should reject object', function () {
+        it('should typecast string to boolean', function () {
             var o = new SO();
 
-            o.date = {
-                0: 'h',
-                1: 'e',
-                2: 'l',
-                3: 'l',
-                4: 'o'
-            };
-            should.not.exist(o.date);
-            o.getErrors().length.should.equal(1);
-            o.isErrors().should.equal(true);
+            o.boolean = '123';
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(true);
+
+            o.boolean = 'true';
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(true);
+
+            o.boolean = '1';
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(true);
+
+            o.boolean = 'false';
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(false);
+
+            o.boolean = '0';
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(false);
+
+            o.boolean = '-1';
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(false);
         });
 
-        it('should set to undefined if set with empty string, null, 0, false, or undefined', function () {
+        it('should typecast number to boolean', function () {
             var o = new SO();
 
-            o.date = '6/21/1988';
-            o.date = '';
-            should.not.exist(o.date);
+            o.boolean = 1;
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(true);
 
-            o.date = '6/21/1988';
-            o.date = null;
-            should.not.exist(o.date);
+            o.boolean = 100;
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(true);
 
-            o.date = '6/21/1988';
-            o.date = undefined;
-            should.not.exist(o.date);
+            o.boolean = 0;
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(false);
 
-            o.getErrors().length.should.equal(0);
-            o.isErrors().should.equal(false);
+            o.boolean = -1;
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(false);
         });
 
-        // https://github.com/scotthovestadt/node-schema-object/issues/5
-        it('should correctly parse dates before 1970', function () {
+        it('should not typecast undefined or null', function () {
             var o = new SO();
 
-            o.date = '03/02/1959';
-            o.date.getMonth().should.equal(2);
-            o.date.getDate().should.equal(2);
-            o.date.getFullYear().should.equal(1959);
+            o.boolean = true;
+            o.boolean.should.be.a.Boolean;
+            o.boolean.should.equal(true);
+
+            o.boolean = undefined;
+            should.not.exist(o.boolean);
+
+            o.boolean = null;
+            should.not.exist(o.boolean);
         });
     });
 
-    describe('dateTransform', function () {
+    describe('booleanTransform', function () {
         var SO = new SchemaObject({
-            date: {
-                type: Date,
-                dateTransform: function (date) {
-                    date.setFullYear(2000);
-                    return date;
+            boolean: {
+                type: Boolean,
+                booleanTransform: function (boolean) {
+                    return !boolean;
                 }
             }
         });
 
-        it('should always return date with year 2000 but other properties untouched', function () {
+        it('should always reverse boolean', function () {
             var o = new SO();
 
-            var date = new Date();
-            o.date = date;
-            o.date.getFullYear().should.equal(2000);
-            o.date.getMonth().should.equal(date.getMonth());
-            o.date.getDay().should.equal(date.getDay());
+            o.boolean = true;
+            o.boolean.should.equal(false);
+        });
+    });
+});
 
-            o.date = date.toISOString();
-            o.date.getFullYear().should.equal(2000);
-            o.date.getMonth().should.equal(date.getMonth());
-            o.date.getDay().should.equal(date.getDay());
+describe('Object', function () {
+    describe('accessing properties', function () {
+        var SO = new SchemaObject({
+            anObject: {}
         });
 
-        it('should always be passed a Date object and not called if undefined or null', function () {
+        it('should set properties without initializing object', function () {
             var o = new SO();
 
-            o.date = 'not a date';
-            should.not.exist(o.date);
-
-            o.date = false;
-            should.not.exist(o.date);
-
-            o.date = undefined;
-            should.not.exist(o.date);
-
-            o.date = null;
-            should.not.exist(o.date);
+            o.anObject.prop = 123;
+            should.exist(o.anObject.prop);
+            o.anObject.prop.should.equal(123);
         });
     });
-});
 
-describe('populate()', function () {
-    it('should populate object', function () {
-        var User = new SchemaObject({
+    describe('schema', function () {
+        var Profile = new SchemaObject({
             firstName: String,
-            lastName: String
+            age: Number,
+            notEmptyString: {
+                type: String,
+                minLength: 1
+            },
+            rootTest: {
+                type: 'any',
+                getter: function () {
+                    return this.age;
+                }
+            }
+        });
+        var SO = new SchemaObject({
+            age: Number,
+            profile: Profile,
+            shorthandProfile: {
+                firstName: String,
+                age: Number,
+                name: 'string',
+                notEmptyString: {
+                    type: String,
+                    minLength: 1
+                },
+                rootTest: {
+                    type: 'any',
+                    getter: function () {
+                        // Should return age from the root object.
+                        return this.age;
+                    }
+                }
+            }
+        }, {
+            toObject: function (obj) {
+                return {
+                    age: obj.shorthandProfile.age
+                };
+            }
+        });
+
+        it('should allow nested schemas', function () {
+            var o = new SO();
+
+            o.profile.firstName = 123;
+            o.profile.firstName.should.be.a.String;
+            o.profile.firstName.should.equal('123');
+
+            o.profile.age = '23';
+            o.profile.age.should.be.a.Number;
+            o.profile.age.should.equal(23);
+
+            o.profile.notEmptyString = '';
+            should.not.exist(o.profile.notEmptyString);
+        });
+
+        it('should allow default values', function () {
+            var ModelWithDefaults = new SchemaObject({
+                profile: {
+                    type: Profile,
+                    default: function () {
+                        return new Profile({
+                            firstName: 'Jane'
+                        });
+                    }
+                }
+            });
+
+            var m = new ModelWithDefaults();
+
+            m.profile.firstName.should.equal('Jane');
+        });
+
+        it('should allow shorthand declaration of nested schema', function () {
+            var o = new SO();
+
+            o.shorthandProfile.firstName = 123;
+            o.shorthandProfile.firstName.should.be.a.String;
+            o.shorthandProfile.firstName.should.equal('123');
+
+            o.shorthandProfile.age = '23';
+            o.shorthandProfile.age.should.be.a.Number;
+            o.shorthandProfile.age.should.equal(23);
+
+            o.shorthandProfile.notEmptyString = '';
+            should.not.exist(o.shorthandProfile.notEmptyString);
+        });
+
+        it('should not inherit toObject when nested schema is used', function () {
+            var o = new SO();
+
+            o.shorthandProfile.age = 50;
+            var obj = o.toObject();
+            obj.age.should.equal(50);
+        });
+
+        it('should NOT set "this" to root object when nested schema shorthand is NOT used', function () {
+            var o = new SO();
+            var o2 = new SO();
+
+            o.age = 20;
+            o.profile.age = 60;
+            o2.age = 50;
+            o2.profile.age = 30;
+
+            o.profile.rootTest.should.equal(60);
+            o2.profile.rootTest.should.equal(30);
+        });
+
+        it('should set "this" to root object when nested schema shorthand is used', function () {
+            var o = new SO();
+            var o2 = new SO();
+
+            o.age = 20;
+            o.shorthandProfile.age = 60;
+            o2.age = 50;
+            o2.shorthandProfile.age = 30;
+
+            o.shorthandProfile.rootTest.should.equal(20);
+            o2.shorthandProfile.rootTest.should.equal(50);
+        });
+
+        it('should allow shorthand declaration of nested schema to use "name" index', function () {
+            var o = new SO();
+
+            o.shorthandProfile.name = 123;
+            o.shorthandProfile.name.should.be.a.String;
+            o.shorthandProfile.name.should.equal('123');
+        });
+    });
+
+    describe('values / keys', function () {
+        var Setting = new SchemaObject({
+            enabled: Boolean,
+            limit: {
+                type: Number,
+                min: 0
+            },
+            code: {
+                type: String,
+                validateAsync: function (value) {
+                    return Promise.resolve(value !== 'taken' || 'Code is taken');
+                }
+            }
+        });
+
+        var SO = new SchemaObject({
+            translations: {
+                type: Object,
+                values: {type: String, minLength: 1},
+                keys: {regex: /^[a-z]{2}$/}
+            },
+            settings: {
+                type: Object,
+                values: Setting
+            },
+            scores: {
+                type: Object,
+                values: [Number]
+            }
+        });
+
+        it('should typecast every value', function () {
+            var o = new SO({
+                translations: {en: 'Hello', pt: 1},
+                scores: {math: ['1', 2]}
+            });
+
+            o.translations.should.eql({en: 'Hello', pt: '1'});
+            o.scores.math.toArray().should.eql([1, 2]);
+            o.getErrors().should.have.lengthOf(0);
+        });
+
+        it('should report value errors under the key', function () {
+            var o = new SO();
+
+            o.translations = {en: ''};
+            errorSummary(o.getErrors()).should.eql([[1212, 'translations.en']]);
+        });
+
+        it('should typecast values set afterwards', function () {
+            var o = new SO({translations: {en: 'Hello'}});
+
+            o.translations.pt = 1;
+            o.translations.should.eql({en: 'Hello', pt: '1'});
+
+            o.settings.acme = {enabled: 'true', limit: -1};
+            o.settings.acme.enabled.should.equal(true);
+            errorSummary(o.getErrors()).should.eql([[1221, 'settings.acme.limit']]);
+
+            (function () {
+                o.translations.en = '';
+            }).should.throw({errorCode: 1212});
+            (function () {
+                o.translations.eng = 'Hello';
+            }).should.throw({errorCode: 1271});
+            o.translations.should.eql({en: 'Hello', pt: '1'});
+        });
+
+        it('should reject keys that do not meet key requirements', function () {
+            var o = new SO();
+
+            o.translations = {eng: 'Hello'};
+            var errors = o.getErrors();
+            errorSummary(errors).should.eql([[1271, 'translations.eng']]);
+            errors[0].errorMessage.should.equal('Key "eng" does not meet key requirements.');
+            errors[0].keyError.errorCode.should.equal(1214);
+        });
+
+        it('should create sub-objects and report their errors under the key', function () {
+            var o = new SO({settings: {acme: {enabled: 'true', limit: -1}}});
+
+            o.settings.acme.enabled.should.equal(true);
+            errorSummary(o.getErrors()).should.eql([[1221, 'settings.acme.limit']]);
+
+            o.clearErrors();
+            o.getErrors().should.have.lengthOf(0);
+        });
+
+        it('should serialize values with toObject()', function () {
+            var o = new SO({settings: {acme: {enabled: true}}, scores: {math: [1]}});
+
+            o.toObject().should.eql({settings: {acme: {enabled: true}}, scores: {math: [1]}});
+        });
+
+        it('should reset records when cleared', function () {
+            var o = new SO({translations: {en: 'Hello'}});
+
+            o.clear();
+            o.translations.should.eql({});
+        });
+
+        it('should resolve with asynchronous errors of sub-objects', function () {
+            var o = new SO({settings: {acme: {code: 'taken'}}});
+
+            return o.validateAsync().then(function (errors) {
+                errorSummary(errors).should.eql([[1201, 'settings.acme.code']]);
+            });
+        });
+
+        it('should validate plain values', function () {
+            var result = SO.validate({
+                translations: {en: 'Hello', pt: 1},
+                settings: {acme: {enabled: 'true', limit: -1}},
+                scores: {math: ['1']}
+            });
+
+            result.value.should.eql({
+                translations: {en: 'Hello', pt: '1'},
+                settings: {acme: {enabled: true}},
+                scores: {math: [1]}
+            });
+            errorSummary(result.errors).should.eql([[1221, 'settings.acme.limit']]);
+        });
+
+        it('should export to JSON Schema and import back', function () {
+            var properties = SO.toJSONSchema().properties;
+            properties.translations.should.eql({
+                type: 'object',
+                propertyNames: {type: 'string', pattern: '^[a-z]{2}$'},
+                additionalProperties: {type: 'string', minLength: 1}
+            });
+            properties.scores.additionalProperties.should.eql({type: 'array', items: {type: 'number'}});
+
+            var Imported = SchemaObject.fromJSONSchema(SO.toJSONSchema());
+            Imported.toJSONSchema().should.eql(SO.toJSONSchema());
+        });
+
+        it('should generate index signature types', function () {
+            var typeScript = SchemaObject.generateTypeScript({SO: SO});
+            typeScript.should.containEql('translations: { [key: string]: string };');
+            typeScript.should.containEql('scores: { [key: string]: Array<number> };');
+        });
+
+        it('should throw when keys are not strings', function () {
+            (function () {
+                new SchemaObject({map: {type: Object, values: String, keys: Number}});
+            }).should.throw('[schema-object] Record keys must be strings.');
+        });
+    });
+});
+
+describe('Array', function () {
+    describe('construction', function () {
+        it('should allow you to pass an array to SchemaObject constructor for Array-type fields', function () {
+            var SO = new SchemaObject({
+                strings: [String]
+            });
+
+            var o = new SO({
+                strings: ['hello', 'world']
+            });
+            o.strings.should.have.lengthOf(2);
+            o.strings[0].should.be.a.String;
+            o.strings[0].should.equal('hello');
+            o.strings[1].should.be.a.String;
+            o.strings[1].should.equal('world');
+        });
+
+        it('should allow you to pass an array to SchemaObject constructor for Array-type fields within other objects', function () {
+            var SO = new SchemaObject({
+                obj: {
+                    strings: [String]
+                }
+            });
+
+            var o = new SO({
+                obj: {
+                    strings: ['hello', 'world']
+                }
+            });
+            o.obj.strings.should.have.lengthOf(2);
+            o.obj.strings[0].should.be.a.String;
+            o.obj.strings[0].should.equal('hello');
+            o.obj.strings[1].should.be.a.String;
+            o.obj.strings[1].should.equal('world');
+        });
+    });
+
+    describe('accessing properties', function () {
+        var SO = new SchemaObject({
+            strings: [String]
+        });
+
+        it('should set properties without initializing array', function () {
+            var o = new SO();
+
+            o.strings.push(123);
+            o.strings[0].should.equal('123');
+        });
+    });
+
+    describe('typecasting', function () {
+        var SO = new SchemaObject({
+            strings: [String],
+            transformedStrings: [{
+                type: String,
+                stringTransform: function (string) {
+                    return string.toLowerCase();
+                }
+            }],
+            profiles: [{
+                firstName: String,
+                lastName: String
+            }]
+        });
+
+        it('should typecast all array elements to string', function () {
+            var o = new SO();
+
+            o.strings.push(123);
+            o.strings.should.have.lengthOf(1);
+            o.strings[0].should.be.a.String;
+            o.strings[0].should.equal('123');
+        });
+
+        it('should typecast Array when set to instance of existing array', function () {
+            var o = new SO();
+            o.strings = [123, 321];
+
+            o.strings.should.be.an.instanceof(Array);
+            o.strings[0].should.be.a.String;
+            o.strings[0].should.equal('123');
+            o.strings[1].should.be.a.String;
+            o.strings[1].should.equal('321');
+        });
+
+        it('should transform all strings to lowercase', function () {
+            var o = new SO();
+
+            o.transformedStrings.push('HELLO');
+            o.transformedStrings.should.have.lengthOf(1);
+            o.transformedStrings[0].should.be.a.String;
+            o.transformedStrings[0].should.equal('hello');
+        });
+
+        it('should allow you to set new schema objects', function () {
+            var o = new SO();
+
+            o.profiles = [{
+                firstName: 'Scott',
+                lastName: 'Hovestadt'
+            }, {
+                firstName: 1234,
+                lastName: 4321
+            }];
+            o.profiles.should.have.lengthOf(2);
+            o.profiles[0].firstName.should.equal('Scott');
+            o.profiles[0].lastName.should.equal('Hovestadt');
+            o.profiles[1].firstName.should.be.a.String;
+            o.profiles[1].firstName.should.equal('1234');
+            o.profiles[1].lastName.should.be.a.String;
+            o.profiles[1].lastName.should.equal('4321');
+
+            o.profiles = [{
+                firstName: 'Replaced',
+                lastName: 'Elements'
+            }];
+            o.profiles.should.have.lengthOf(1);
+            o.profiles[0].firstName.should.equal('Replaced');
+            o.profiles[0].lastName.should.equal('Elements');
+        });
+
+        it('should allow you to push() in new schema objects', function () {
+            var o = new SO();
+
+            o.profiles.push({
+                firstName: 4321
+            });
+            o.profiles.should.have.lengthOf(1);
+            o.profiles[0].firstName.should.be.a.String;
+            o.profiles[0].firstName.should.equal('4321');
+        });
+
+        it('should enforce types on existing array elements', function () {
+            var o = new SO();
+
+            o.profiles.push({
+                firstName: 4321
+            });
+            o.profiles.should.have.lengthOf(1);
+            o.profiles[0].firstName.should.be.a.String;
+            o.profiles[0].firstName.should.equal('4321');
+
+            o.profiles[0].firstName = 1234;
+            o.profiles[0].firstName.should.be.a.String;
+            o.profiles[0].firstName.should.equal('1234');
+        });
+    });
+
+    describe('unique', function () {
+        var SO = new SchemaObject({
+            uniqueStrings: {
+                type: Array,
+                unique: true,
+                arrayType: String
+            },
+            unique: {
+                type: Array,
+                unique: true
+            }
+        });
+
+        it('should enforce unique values within array with typecasting', function () {
+            var o = new SO();
+
+            o.uniqueStrings.push(1234);
+            o.uniqueStrings.should.have.lengthOf(1);
+            o.uniqueStrings.push('1234');
+            o.uniqueStrings.should.have.lengthOf(1);
+            o.uniqueStrings.push('12345');
+            o.uniqueStrings.should.have.lengthOf(2);
+        });
+
+        it('should enforce unique values within array without typecasting', function () {
+            var o = new SO();
+
+            o.unique.push('scott');
+            o.unique.should.have.lengthOf(1);
+            o.unique.push('scott');
+            o.unique.should.have.lengthOf(1);
+            o.unique.push('Scott');
+            o.unique.should.have.lengthOf(2);
+        });
+    });
+
+    describe('filter', function () {
+        var SO = new SchemaObject({
+            filtered: {
+                type: Array,
+                arrayType: String,
+                filter: function (str) {
+                    return str.toLowerCase() === str;
+                }
+            }
+        });
+
+        it('should filter array to only lowercase strings when push used', function () {
+            var o = new SO();
+            o.filtered.push('SCOTT');
+            o.filtered.should.have.lengthOf(0);
+            o.filtered.push('scott');
+            o.filtered.should.have.lengthOf(1);
+        });
+
+        it('should filter array to only lowercase strings when set to instance of existing array', function () {
+            var o = new SO();
+            var arr = ['SCOTT', 'scott'];
+            o.filtered = arr;
+            o.filtered.should.have.lengthOf(1);
+            arr.should.have.lengthOf(2);
+        });
+    });
+
+    describe('Array prototype', function () {
+        var SO = new SchemaObject({
+            verified: [String],
+            unverified: [String]
+        });
+
+        it('concat', function () {
+            var o = new SO();
+            o.verified = ['hello'];
+            o.unverified = ['world'];
+            var all = o.verified.concat(o.unverified, ['!']);
+            all.should.be.an.instanceOf(Array);
+            all.should.have.property('toArray');
+            all.should.have.lengthOf(3);
+            all[0].should.be.a.String;
+            all[0].should.equal('hello');
+            all[1].should.be.a.String;
+            all[1].should.equal('world');
+            all[2].should.be.a.String;
+            all[2].should.equal('!');
+            o.verified.should.have.lengthOf(1);
+            o.verified[0].should.equal('hello');
+            o.unverified.should.have.lengthOf(1);
+            o.unverified[0].should.equal('world');
+        });
+    });
+
+    describe('toArray', function () {
+        var SO = new SchemaObject({
+            strings: {
+                type: Array,
+                unique: true,
+                arrayType: String
+            }
+        });
+
+        it('should return native Array', function () {
+            var o = new SO();
+
+            o.strings.push(1234);
+            var array = o.strings.toArray();
+            array.should.be.an.instanceOf(Array);
+            array.should.not.have.property('toArray');
+            array[0].should.be.equal('1234');
+        });
+
+        it('should be used for serializing an object to JSON', function () {
+            var o = new SO();
+
+            o.strings.push(1234);
+            var arrayStr = JSON.stringify(o.strings.toArray());
+            var jsonArrStr = JSON.stringify(o.strings);
+            arrayStr.should.equal(jsonArrStr);
+        });
+    });
+
+    describe('tuple', function () {
+        var SO = new SchemaObject({
+            point: {
+                type: Array,
+                items: [Number, Number, String]
+            },
+            command: {
+                type: Array,
+                items: [String, {type: Number, min: 0}],
+                additionalItems: Boolean,
+                minItems: 1
+            }
+        });
+
+        it('should typecast each element with the type of its position', function () {
+            var o = new SO();
+
+            o.point = ['1', '2', 3];
+            o.point.toArray().should.eql([1, 2, '3']);
+            o.getErrors().should.have.lengthOf(0);
+        });
+
+        it('should typecast pushed elements with the type of their position', function () {
+            var o = new SO();
+
+            o.point.push('1');
+            o.point.push('2', 3);
+            o.point.toArray().should.eql([1, 2, '3']);
+        });
+
+        it('should report tuples left with fewer elements by array methods', function () {
+            var o = new SO();
+
+            o.point.push(1);
+            errorSummary(o.getErrors()).should.eql([[1261, 'point']]);
+            o.getErrors()[0].errorMessage.should.equal('Array has too few elements to meet tuple requirement.');
+
+            o.point.push(2, 'a');
+            o.getErrors().should.have.lengthOf(0);
+
+            o.point.pop();
+            errorSummary(o.getErrors()).should.eql([[1261, 'point']]);
+
+            o.command.push('stop');
+            o.point.length = 0;
+            o.getErrors().should.have.lengthOf(0);
+        });
+
+        it('should report errors with the position of the element', function () {
+            var o = new SO();
+
+            o.point = [1, 'a', 'b'];
+            o.point.toArray().should.eql([1]);
+            errorSummary(o.getErrors()).should.eql([[1102, 'point.1'], [1261, 'point']]);
+            errorSummary(SO.validate({point: [1, 'a', 'b']}).errors).should.eql(errorSummary(o.getErrors()));
+        });
+
+        it('should reject arrays with fewer elements than the tuple', function () {
+            var o = new SO();
+
+            o.point = [1, 2];
+            o.point.should.have.lengthOf(0);
+            errorSummary(o.getErrors()).should.eql([[1261, 'point']]);
+            o.getErrors()[0].errorMessage.should.equal('Array has too few elements to meet tuple requirement.');
+        });
+
+        it('should allow setting an empty array', function () {
+            var o = new SO();
+
+            o.point = [];
+            o.point.should.have.lengthOf(0);
+            o.getErrors().should.have.lengthOf(0);
+        });
+
+        it('should reject elements past the tuple positions', function () {
+            var o = new SO();
+
+            o.point = [1, 2, 'a', 4];
+            errorSummary(o.getErrors()).should.eql([[1261, 'point']]);
+            o.getErrors()[0].errorMessage.should.equal('Array has too many elements to meet tuple requirement.');
+
+            o.point = [1, 2, 'a'];
+            (function () {
+                o.point.push(4);
+            }).should.throw({errorCode: 1261});
+            o.point.toArray().should.eql([1, 2, 'a']);
+        });
+
+        it('should typecast additional elements with additionalItems', function () {
+            var o = new SO();
+
+            o.command = ['move', '5', 'true', 0];
+            o.command.toArray().should.eql(['move', 5, true, false]);
+        });
+
+        it('should enforce minItems', function () {
+            var o = new SO();
+
+            o.command = ['stop'];
+            o.command.toArray().should.eql(['stop']);
+            o.getErrors().should.have.lengthOf(0);
+        });
+
+        it('should validate plain values', function () {
+            var result = SO.validate({point: ['1', 2, 3], command: ['jump', -1]});
+            result.value.point.should.eql([1, 2, '3']);
+            errorSummary(result.errors).should.eql([[1221, 'command.1']]);
+
+            errorSummary(SO.validate({point: [1]}).errors).should.eql([[1261, 'point']]);
+        });
+
+        it('should export prefixItems to JSON Schema', function () {
+            var properties = SO.toJSONSchema().properties;
+            properties.point.should.eql({
+                type: 'array',
+                prefixItems: [{type: 'number'}, {type: 'number'}, {type: 'string'}],
+                items: false,
+                minItems: 3
+            });
+            properties.command.items.should.eql({type: 'boolean'});
+            properties.command.minItems.should.equal(1);
+        });
+
+        it('should import prefixItems from JSON Schema', function () {
+            var Imported = SchemaObject.fromJSONSchema(SO.toJSONSchema());
+            Imported.toJSONSchema().should.eql(SO.toJSONSchema());
+
+            var o = new Imported({point: ['1', '2', 3]});
+            o.point.toArray().should.eql([1, 2, '3']);
+        });
+
+        it('should generate tuple types', function () {
+            var typeScript = SchemaObject.generateTypeScript({SO: SO});
+            typeScript.should.containEql('point: [number, number, string];');
+            typeScript.should.containEql('command: [string, number, ...boolean[]];');
+        });
+
+        it('should throw when items is not a non-empty array', function () {
+            (function () {
+                new SchemaObject({point: {type: Array, items: []}});
+            }).should.throw('[schema-object] Tuple items must be a non-empty array of types.');
+        });
+    });
+});
+
+describe('Set', function () {
+    var Tag = new SchemaObject({
+        name: String
+    });
+
+    var SO = new SchemaObject({
+        tags: {
+            type: Set,
+            values: String
+        },
+        ids: {
+            type: Set,
+            values: Number
+        },
+        labels: {
+            type: Set,
+            values: Tag
+        },
+        anything: Set
+    });
+
+    it('should keep a native Set', function () {
+        var o = new SO({tags: ['a', 'b']});
+
+        o.tags.should.be.an.instanceOf(Set);
+        o.anything.should.be.an.instanceOf(Set);
+        o.anything.size.should.equal(0);
+    });
+
+    it('should typecast elements from Sets and Arrays', function () {
+        var o = new SO({ids: new Set(['1', 2])});
+        Array.from(o.ids).should.eql([1, 2]);
+
+        o.ids = ['3', 3, '4'];
+        Array.from(o.ids).should.eql([3, 4]);
+    });
+
+    it('should typecast added elements', function () {
+        var o = new SO();
+
+        o.ids.add('1');
+        o.ids.add(1);
+        Array.from(o.ids).should.eql([1]);
+
+        (function () {
+            o.ids.add('x');
+        }).should.throw({errorCode: 1102});
+    });
+
+    it('should keep the Set instance when set', function () {
+        var o = new SO();
+        var ids = o.ids;
+
+        o.ids = [1];
+        o.ids.should.equal(ids);
+    });
+
+    it('should reject non-Set and non-Array values', function () {
+        var o = new SO({ids: [1]});
+
+        o.ids = 'x';
+        o.getErrors()[0].errorCode.should.equal(1111);
+        Array.from(o.ids).should.eql([1]);
+    });
+
+    it('should leave the Set unchanged when an element is rejected', function () {
+        var o = new SO({ids: [1]});
+
+        o.ids = [2, 'x'];
+        o.getErrors()[0].errorCode.should.equal(1102);
+        Array.from(o.ids).should.eql([1]);
+    });
+
+    it('should name element errors after the field', function () {
+        errorSummary(new SO({ids: [1, 'x']}).getErrors()).should.eql([[1102, 'ids']]);
+        errorSummary(SO.validate({ids: [1, 'x']}).errors).should.eql([[1102, 'ids']]);
+
+        (function () {
+            new SO().ids.add('x');
+        }).should.throw({errorCode: 1102, fieldSchema: {name: 'ids'}});
+    });
+
+    it('should create sub-objects', function () {
+        var o = new SO({labels: [{name: 1}]});
+
+        Array.from(o.labels)[0].name.should.equal('1');
+    });
+
+    it('should report errors of sub-objects under the position of the element', function () {
+        var Required = new SchemaObject({
+            labels: {
+                type: Set,
+                values: {
+                    name: {
+                        type: String,
+                        required: true
+                    },
+                    code: {
+                        type: String,
+                        validateAsync: function (value) {
+                            return Promise.resolve(value !== 'taken' || 'Code is taken');
+                        }
+                    }
+                }
+            }
+        });
+
+        var o = new Required({labels: [{name: 'a'}, {}]});
+        errorSummary(o.getErrors()).should.eql([[1000, 'labels.1.name']]);
+        errorSummary(Required.validate({labels: [{name: 'a'}, {}]}).errors).should.eql([[1000, 'labels.1.name']]);
+
+        o.clearErrors();
+        o.labels.clear();
+        o.labels.add({name: 'b', code: 'taken'});
+        return o.validateAsync().then(function (errors) {
+            errorSummary(errors).should.eql([[1201, 'labels.0.code']]);
+        });
+    });
+
+    it('should serialize as an array', function () {
+        var o = new SO({tags: ['a'], labels: [{name: 'b'}]});
+
+        o.toObject().should.eql({tags: ['a'], labels: [{name: 'b'}]});
+        JSON.parse(JSON.stringify(o)).should.eql({tags: ['a'], labels: [{name: 'b'}]});
+        new SO(o.toObject()).toObject().should.eql(o.toObject());
+    });
+
+    it('should be emptied by clear()', function () {
+        var o = new SO({tags: ['a']});
+
+        o.clear();
+        o.tags.size.should.equal(0);
+    });
+
+    it('should validate plain values', function () {
+        var result = SO.validate({tags: ['a', 'a'], ids: [1, '1']});
+
+        result.value.should.eql({tags: ['a'], ids: [1]});
+        result.errors.should.have.lengthOf(0);
+    });
+
+    it('should export to JSON Schema as an array of unique items', function () {
+        SO.toJSONSchema().properties.ids.should.eql({type: 'array', items: {type: 'number'}, uniqueItems: true});
+    });
+
+    it('should generate Set types', function () {
+        var typeScript = SchemaObject.generateTypeScript({SO: SO});
+        typeScript.should.containEql('ids: Set<number>;');
+        typeScript.should.containEql('anything: Set<any>;');
+    });
+});
+
+describe('Map', function () {
+    var Tenant = new SchemaObject({
+        name: String,
+        seats: {
+            type: Number,
+            min: 1
+        }
+    });
+
+    var SO = new SchemaObject({
+        counts: {
+            type: Map,
+            values: Number
+        },
+        tenants: {
+            type: Map,
+            values: Tenant,
+            keys: {regex: /^t\d+$/}
+        },
+        anything: Map
+    });
+
+    it('should keep a native Map', function () {
+        var o = new SO({counts: {a: 1}});
+
+        o.counts.should.be.an.instanceOf(Map);
+        o.anything.should.be.an.instanceOf(Map);
+    });
+
+    it('should typecast values from Maps and Objects', function () {
+        var o = new SO({counts: new Map([['a', '1']])});
+        o.counts.get('a').should.equal(1);
+
+        o.counts = {b: '2'};
+        Array.from(o.counts).should.eql([['b', 2]]);
+    });
+
+    it('should typecast values that are set', function () {
+        var o = new SO();
+
+        o.counts.set('a', '5');
+        o.counts.get('a').should.equal(5);
+
+        (function () {
+            o.tenants.set('bad', {});
+        }).should.throw({errorCode: 1271});
+    });
+
+    it('should reject non-Map and non-Object values', function () {
+        var o = new SO();
+
+        o.counts = 5;
+        o.getErrors()[0].errorCode.should.equal(1112);
+    });
+
+    it('should report errors under the key', function () {
+        var o = new SO({counts: {a: 'x'}, tenants: {t1: {name: 'Acme', seats: 0}}});
+
+        errorSummary(o.getErrors()).should.eql([[1102, 'counts.a'], [1221, 'tenants.t1.seats']]);
+
+        o.clearErrors();
+        o.getErrors().should.have.lengthOf(0);
+    });
+
+    it('should serialize as an object', function () {
+        var o = new SO({counts: {a: 1}, tenants: {t1: {name: 'Acme'}}});
+
+        o.toObject().should.eql({counts: {a: 1}, tenants: {t1: {name: 'Acme'}}});
+        JSON.parse(JSON.stringify(o)).should.eql({counts: {a: 1}, tenants: {t1: {name: 'Acme'}}});
+        new SO(o.toObject()).toObject().should.eql(o.toObject());
+    });
+
+    it('should validate plain values', function () {
+        var result = SO.validate({counts: {a: '1'}, tenants: {t1: {seats: 0}}});
+
+        result.value.should.eql({counts: {a: 1}, tenants: {t1: {}}});
+        errorSummary(result.errors).should.eql([[1221, 'tenants.t1.seats']]);
+    });
+
+    it('should export to JSON Schema as an object', function () {
+        SO.toJSONSchema().properties.counts.should.eql({type: 'object', additionalProperties: {type: 'number'}});
+    });
+
+    it('should generate Map types', function () {
+        SchemaObject.generateTypeScript({SO: SO}).should.containEql('counts: Map<string, number>;');
+    });
+});
+
+describe('Date', function () {
+    describe('typecasting', function () {
+        var SO = new SchemaObject({
+            date: Date
+        });
+
+        it('should accept Date type', function () {
+            var o = new SO();
+
+            var now = new Date();
+            o.date = now;
+            o.date.should.be.an.instanceof(Date);
+            o.date.getMonth().should.equal(now.getMonth());
+            o.date.getDate().should.equal(now.getDate());
+            o.date.getFullYear().should.equal(now.getFullYear());
+        });
+
+        it('should typecast string "June 21, 1988" to date', function () {
+            var o = new SO();
+
+            o.date = 'June 21, 1988';
+            o.date.should.be.an.instanceof(Date);
+            o.date.getMonth().should.equal(5);
+            o.date.getDate().should.equal(21);
+            o.date.getFullYear().should.equal(1988);
+        });
+
+        it('should typecast string "06/21/1988" to date', function () {
+            var o = new SO();
+
+            o.date = '06/21/1988';
+            o.date.should.be.an.instanceof(Date);
+            o.date.getMonth().should.equal(5);
+            o.date.getDate().should.equal(21);
+            o.date.getFullYear().should.equal(1988);
+        });
+
+        it('should typecast string "6/21/1988" to date', function () {
+            var o = new SO();
+
+            o.date = '6/21/1988';
+            o.date.should.be.an.instanceof(Date);
+            o.date.getMonth().should.equal(5);
+            o.date.getDate().should.equal(21);
+            o.date.getFullYear().should.equal(1988);
+        });
+
+        it('should reject nonsense strings', function () {
+            var o = new SO();
+
+            o.date = 'not a date';
+            should.not.exist(o.date);
+            o.getErrors().length.should.equal(1);
+            o.isErrors().should.equal(true);
+        });
+
+        it('should typecast integer timestamp seconds to date', function () {
+            var o = new SO();
+
+            o.date = 582879600;
+            o.date.should.be.an.instanceof(Date);
+            o.date.getTime().should.equal(582879600000);
+            o.date.getMonth().should.equal(5);
+            o.date.getDate().should.equal(21);
+            o.date.getFullYear().should.equal(1988);
+        });
+
+        it('should typecast integer timestamp milliseconds to date', function () {
+            var o = new SO();
+
+            o.date = 582879600000;
+            o.date.should.be.an.instanceof(Date);
+            o.date.getTime().should.equal(582879600000);
+            o.date.getMonth().should.equal(5);
+            o.date.getDate().should.equal(21);
+            o.date.getFullYear().should.equal(1988);
+        });
+
+        it('should reject boolean', function () {
+            var o = new SO();
+
+            o.date = true;
+            should.not.exist(o.date);
+            o.getErrors().length.should.equal(1);
+            o.isErrors().should.equal(true);
+
+            o.date = false;
+            should.not.exist(o.date);
+            o.getErrors().length.should.equal(2);
+            o.isErrors().should.equal(true);
+        });
+
+        it('should reject array', function () {
+            var o = new SO();
+
+            o.date = ['h', 'e', 'l', 'l', 'o'];
+            should.not.exist(o.date);
+            o.getErrors().length.should.equal(1);
+            o.isErrors().should.equal(true);
+        });
+
+        it('should reject object', function () {
+            var o = new SO();
+
+            o.date = {
+                0: 'h',
+                1: 'e',
+                2: 'l',
+                3: 'l',
+                4: 'o'
+            };
+            should.not.exist(o.date);
+            o.getErrors().length.should.equal(1);
+            o.isErrors().should.equal(true);
+        });
+
+        it('should set to undefined if set with empty string, null, 0, false, or undefined', function () {
+            var o = new SO();
+
+            o.date = '6/21/1988';
+            o.date = '';
+            should.not.exist(o.date);
+
+            o.date = '6/21/1988';
+            o.date = null;
+            should.not.exist(o.date);
+
+            o.date = '6/21/1988';
+            o.date = undefined;
+            should.not.exist(o.date);
+
+            o.getErrors().length.should.equal(0);
+            o.isErrors().should.equal(false);
+        });
+
+        // https://github.com/scotthovestadt/node-schema-object/issues/5
+        it('should correctly parse dates before 1970', function () {
+            var o = new SO();
+
+            o.date = '03/02/1959';
+            o.date.getMonth().should.equal(2);
+            o.date.getDate().should.equal(2);
+            o.date.getFullYear().should.equal(1959);
+        });
+    });
+
+    describe('dateTransform', function () {
+        var SO = new SchemaObject({
+            date: {
+                type: Date,
+                dateTransform: function (date) {
+                    date.setFullYear(2000);
+                    return date;
+                }
+            }
+        });
+
+        it('should always return date with year 2000 but other properties untouched', function () {
+            var o = new SO();
+
+            var date = new Date();
+            o.date = date;
+            o.date.getFullYear().should.equal(2000);
+            o.date.getMonth().should.equal(date.getMonth());
+            o.date.getDay().should.equal(date.getDay());
+
+            o.date = date.toISOString();
+            o.date.getFullYear().should.equal(2000);
+            o.date.getMonth().should.equal(date.getMonth());
+            o.date.getDay().should.equal(date.getDay());
+        });
+
+        it('should always be passed a Date object and not called if undefined or null', function () {
+            var o = new SO();
+
+            o.date = 'not a date';
+            should.not.exist(o.date);
+
+            o.date = false;
+            should.not.exist(o.date);
+
+            o.date = undefined;
+            should.not.exist(o.date);
+
+            o.date = null;
+            should.not.exist(o.date);
+        });
+    });
+
+    describe('min', function () {
+        it('should reject dates before min', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    min: new Date('2016-01-01T00:00:00.000Z')
+                }
+            });
+
+            var o = new SO();
+            o.date = '2016-01-01T00:00:00.000Z';
+            o.date.getTime().should.equal(1451606400000);
+            o.date = '2015-12-31T23:59:59.999Z';
+            o.date.getTime().should.equal(1451606400000);
+
+            var errors = o.getErrors();
+            errors.length.should.equal(1);
+            errors[0].errorMessage.should.equal('Date is too early to meet min requirement.');
+            errors[0].errorCode.should.equal(1232);
+            errors[0].errorType.should.equal('ValidationError');
+        });
+
+        it('should accept timestamps in milliseconds, strings and functions', function () {
+            var SO = new SchemaObject({
+                timestamp: {
+                    type: Date,
+                    min: 1451606400000
+                },
+                string: {
+                    type: Date,
+                    min: '2016-01-01T00:00:00.000Z'
+                },
+                now: {
+                    type: Date,
+                    min: function () {
+                        return new Date();
+                    }
+                }
+            });
+
+            var o = new SO({
+                timestamp: '2015-12-31T00:00:00.000Z',
+                string: '2015-12-31T00:00:00.000Z',
+                now: Date.now() - 60000
+            });
+            _.map(o.getErrors(), 'errorCode').should.eql([1232, 1232, 1232]);
+
+            o.now = Date.now() + 60000;
+            should.exist(o.now);
+        });
+
+        it('should evaluate functions in the context of the object', function () {
+            var SO = new SchemaObject({
+                start: Date,
+                end: {
+                    type: Date,
+                    min: function () {
+                        return this.start;
+                    }
+                }
+            });
+
+            var o = new SO({
+                start: '2016-01-02T00:00:00.000Z',
+                end: '2016-01-01T00:00:00.000Z'
+            });
+            should.not.exist(o.end);
+            o.end = '2016-01-03T00:00:00.000Z';
+            should.exist(o.end);
+        });
+
+        it('should support custom error messages', function () {
+            var SO = new SchemaObject({
+                array: {
+                    type: Date,
+                    min: [new Date('2016-01-01T00:00:00.000Z'), 'Too early']
+                },
+                object: {
+                    type: Date,
+                    min: {
+                        value: new Date('2016-01-01T00:00:00.000Z'),
+                        errorMessage: 'Way too early'
+                    }
+                }
+            });
+
+            var o = new SO({
+                array: '2015-01-01T00:00:00.000Z',
+                object: '2015-01-01T00:00:00.000Z'
+            });
+            _.map(o.getErrors(), 'errorMessage').should.eql(['Too early', 'Way too early']);
+        });
+    });
+
+    describe('max', function () {
+        it('should reject dates after max', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    max: [new Date('2016-01-01T00:00:00.000Z'), 'Too late']
+                }
+            });
+
+            var o = new SO();
+            o.date = '2015-12-31T00:00:00.000Z';
+            should.exist(o.date);
+            o.date = '2016-01-01T00:00:00.001Z';
+            o.date.toISOString().should.equal('2015-12-31T00:00:00.000Z');
+
+            var errors = o.getErrors();
+            errors.length.should.equal(1);
+            errors[0].errorMessage.should.equal('Too late');
+            errors[0].errorCode.should.equal(1233);
+        });
+    });
+
+    describe('format', function () {
+        it('should parse patterns in local time', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    format: 'DD/MM/YYYY HH:mm'
+                }
+            });
+
+            var o = new SO({
+                date: '02/03/1959 14:30'
+            });
+            o.date.getFullYear().should.equal(1959);
+            o.date.getMonth().should.equal(2);
+            o.date.getDate().should.equal(2);
+            o.date.getHours().should.equal(14);
+            o.date.getMinutes().should.equal(30);
+        });
+
+        it('should reject values that do not match the format', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    format: 'YYYY-MM-DD'
+                },
+                custom: {
+                    type: Date,
+                    format: ['DD/MM/YYYY', 'Use DD/MM/YYYY']
+                }
+            });
+
+            var o = new SO({
+                date: '2016-01-01'
+            });
+            o.date = '01/02/2016';
+            o.date = '2016-02-30';
+            o.date = 1451606400;
+            o.custom = '2016-01-01';
+            o.date.getDate().should.equal(1);
+
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode, error.setValue];
+            }).should.eql([
+                ['Date does not match format "YYYY-MM-DD".', 1231, '01/02/2016'],
+                ['Date does not match format "YYYY-MM-DD".', 1231, '2016-02-30'],
+                ['Date does not match format "YYYY-MM-DD".', 1231, 1451606400],
+                ['Use DD/MM/YYYY', 1231, '2016-01-01']
+            ]);
+        });
+
+        it('should accept Date objects', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    format: 'YYYY-MM-DD'
+                }
+            });
+            var date = new Date();
+
+            new SO({
+                date: date
+            }).date.getTime().should.equal(date.getTime());
+        });
+
+        it('should parse unix timestamps without guessing the unit', function () {
+            var SO = new SchemaObject({
+                seconds: {
+                    type: Date,
+                    format: 'unix'
+                },
+                milliseconds: {
+                    type: Date,
+                    format: 'unixMs'
+                }
+            });
+
+            var o = new SO({
+                seconds: '946684799',
+                milliseconds: 946684799000
+            });
+            o.seconds.toISOString().should.equal('1999-12-31T23:59:59.000Z');
+            o.milliseconds.toISOString().should.equal('1999-12-31T23:59:59.000Z');
+
+            o.seconds = '2016-01-01';
+            o.getErrors()[0].errorMessage.should.equal('Date does not match format "unix".');
+        });
+
+        it('should parse ISO 8601 with or without offset', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    format: 'iso',
+                    timezone: 'UTC'
+                }
+            });
+
+            var o = new SO();
+            o.date = '2016-01-01';
+            o.date.toISOString().should.equal('2016-01-01T00:00:00.000Z');
+            o.date = '2016-01-01T10:00:00.5+02:00';
+            o.date.toISOString().should.equal('2016-01-01T08:00:00.500Z');
+            o.date = '2016-01-01T10:00';
+            o.date.toISOString().should.equal('2016-01-01T10:00:00.000Z');
+            o.date = 'January 1, 2016';
+            o.getErrors().length.should.equal(1);
+        });
+    });
+
+    describe('timezone', function () {
+        it('should parse values without offset in the field timezone', function () {
+            var SO = new SchemaObject({
+                offset: {
+                    type: Date,
+                    format: 'YYYY-MM-DD HH:mm',
+                    timezone: '-03:00'
+                },
+                named: {
+                    type: Date,
+                    format: 'DD/MM/YYYY HH:mm',
+                    timezone: 'America/New_York'
+                },
+                withOffset: {
+                    type: Date,
+                    format: 'YYYY-MM-DD HH:mm Z',
+                    timezone: 'America/New_York'
+                }
+            });
+
+            var o = new SO({
+                offset: '2016-01-01 12:00',
+                named: '01/07/2016 12:00',
+                withOffset: '2016-07-01 12:00 +0100'
+            });
+            o.offset.toISOString().should.equal('2016-01-01T15:00:00.000Z');
+            o.named.toISOString().should.equal('2016-07-01T16:00:00.000Z');
+            o.withOffset.toISOString().should.equal('2016-07-01T11:00:00.000Z');
+
+            // Standard time.
+            o.named = '01/01/2016 12:00';
+            o.named.toISOString().should.equal('2016-01-01T17:00:00.000Z');
+        });
+
+        it('should use the timezone option when the field has none', function () {
+            var SO = new SchemaObject({
+                date: {
+                    type: Date,
+                    format: 'YYYY-MM-DD'
+                },
+                sub: {
+                    date: {
+                        type: Date,
+                        format: 'YYYY-MM-DD'
+                    }
+                }
+            }, {
+                timezone: 'America/Sao_Paulo'
+            });
+
+            var o = new SO({
+                date: '1988-06-21',
+                sub: {
+                    date: '1988-06-21'
+                }
+            });
+            o.date.toISOString().should.equal('1988-06-21T03:00:00.000Z');
+            o.sub.date.toISOString().should.equal('1988-06-21T03:00:00.000Z');
+        });
+
+        it('should throw for unknown timezones', function () {
+            (function () {
+                new SchemaObject({
+                    date: {
+                        type: Date,
+                        format: 'iso',
+                        timezone: 'Nope/Zone'
+                    }
+                });
+            }).should.throw('[schema-object] Unknown timezone "Nope/Zone".');
+
+            (function () {
+                new SchemaObject({
+                    date: {
+                        type: Date,
+                        format: 'YYYY-MM-DD'
+                    }
+                }, {
+                    timezone: 'Nope/Zone'
+                });
+            }).should.throw('[schema-object] Unknown timezone "Nope/Zone".');
+        });
+    });
+
+    describe('past / future', function () {
+        var SO = new SchemaObject({
+            past: {
+                type: Date,
+                past: true
+            },
+            future: {
+                type: Date,
+                future: [true, 'Must be upcoming']
+            }
+        });
+
+        it('should accept dates on the right side of now', function () {
+            var o = new SO({
+                past: Date.now() - 60000,
+                future: Date.now() + 60000
+            });
+            should.exist(o.past);
+            should.exist(o.future);
+            o.getErrors().length.should.equal(0);
+        });
+
+        it('should reject dates on the wrong side of now', function () {
+            var o = new SO({
+                past: Date.now() + 60000,
+                future: Date.now() - 60000
+            });
+            should.not.exist(o.past);
+            should.not.exist(o.future);
+            _.map(o.getErrors(), function (error) {
+                return [error.errorMessage, error.errorCode];
+            }).should.eql([
+                ['Date must be in the past.', 1233],
+                ['Must be upcoming', 1232]
+            ]);
+        });
+    });
+});
+
+describe('populate()', function () {
+    it('should populate object', function () {
+        var User = new SchemaObject({
+            firstName: String,
+            lastName: String
+        });
+
+        var user = new User();
+        user.populate({
+            firstName: 'Scott',
+            lastName: 'Hovestadt'
+        });
+        user.firstName.should.equal('Scott');
+        user.lastName.should.equal('Hovestadt');
+    });
+});
+
+describe('clear()', function () {
+    it('should return array elements to their original state, which is an empty array', function () {
+        var SO = new SchemaObject({
+            strings: [String]
+        });
+
+        var o = new SO();
+        o.strings.push('hello');
+        o.strings.should.have.lengthOf(1);
+        o.clear();
+        o.strings.should.have.lengthOf(0);
+    });
+});
+
+describe('toObject()', function () {
+    var SO = new SchemaObject({
+        string: String,
+        date: Date,
+        invisible: {
+            type: String,
+            invisible: true
+        },
+        schemaObject: {
+            string: String,
+            anotherObject: {
+                name: String,
+                zip: Number
+            }
+        },
+        anyObj: Object,
+        schemaObjects: [{
+            string: String
+        }],
+        arrayOfStrings: [String],
+        magicDate: {
+            type: Date,
+            getter: function (date) {
+                if (date) {
+                    return date.getTime();
+                }
+            }
+        }
+    });
+
+    it('should return undefined for empty String field', function () {
+        var o = new SO();
+        var obj = o.toObject();
+
+        (obj.string === undefined).should.be.true;
+    });
+
+    it('should have index "string" with value "1234"', function () {
+        var o = new SO();
+
+        o.string = 1234;
+        var obj = o.toObject();
+        obj.string.should.be.a.String;
+        obj.string.should.equal('1234');
+    });
+
+    it('should write Date object for Date type', function () {
+        var o = new SO();
+
+        o.date = 582879600000;
+        var obj = o.toObject();
+        obj.date.should.be.an.instanceof(Date);
+        obj.date.getTime().should.equal(582879600000);
+        obj.date.getMonth().should.equal(5);
+        obj.date.getDate().should.equal(21);
+        obj.date.getFullYear().should.equal(1988);
+    });
+
+    it('should write getter when getter returns different type', function () {
+        var o = new SO();
+
+        o.magicDate = 'Tue Jun 21 1988 00:00:00 GMT-0700 (PDT)';
+        var obj = o.toObject();
+        obj.magicDate.should.be.an.instanceof(Number);
+        obj.magicDate.should.equal(582879600000);
+    });
+
+    it('should write Arrays for Array type', function () {
+        var o = new SO();
+        o.arrayOfStrings = ['hello', 'world'];
+
+        var obj = o.toObject();
+        obj.arrayOfStrings.should.be.an.instanceof(Array);
+        obj.arrayOfStrings[0].should.equal('hello');
+        obj.arrayOfStrings[1].should.equal('world');
+    });
+
+    it('should convert nested SchemaObjects to primitive Object', function () {
+        var o = new SO();
+
+        o.schemaObject.string = 1234;
+        var obj = o.toObject();
+        obj.schemaObject.string.should.be.a.String;
+        obj.schemaObject.string.should.equal('1234');
+        obj.schemaObject.should.be.an.Object;
+        obj.schemaObject.should.should.not.have.property('toObject');
+    });
+
+    it('should convert SchemaObjects nested within Arrays to primitive Objects', function () {
+        var o = new SO();
+
+        o.schemaObjects.push({
+            string: 1234
+        });
+        var obj = o.toObject();
+        obj.schemaObjects[0].string.should.be.a.String;
+        obj.schemaObjects[0].string.should.equal('1234');
+        obj.schemaObjects[0].should.be.an.Object;
+        obj.schemaObjects[0].should.not.have.property('toObject');
+    });
+
+    it('should not write invisible indexes', function () {
+        var o = new SO();
+
+        o.invisible = 'hello';
+        o.invisible.should.be.a.String;
+        o.invisible.should.equal('hello');
+        var obj = o.toObject();
+        should.not.exist(obj.invisible);
+    });
+
+    it('should be called for serializing an object to JSON', function () {
+        var o = new SO();
+        o.string = 'hello';
+        o.date = new Date();
+        o.arrayOfStrings.push('1');
+        o.arrayOfStrings.push(1234);
+        o.schemaObject.string = 'test';
+        o.schemaObjects.push({
+            string: 1234
+        });
+
+        var obj = JSON.stringify(o.toObject());
+        var jsonObject = JSON.stringify(o);
+        obj.should.equal(jsonObject);
+    });
+
+    it('should be called for serializing a sub-SchemaObject to JSON', function () {
+        var o = new SO();
+        o.schemaObject.string = 'test';
+        o.schemaObject.anotherObject.name = 'hello';
+        o.schemaObject.anotherObject.zip = 'hello';
+
+        var obj = JSON.stringify(o.schemaObject.toObject());
+        var jsonObject = JSON.stringify(o.schemaObject);
+        obj.should.equal(jsonObject);
+    });
+
+    it('should not write undefined values to object when option setUndefined: false (default)', function () {
+        var o = new SO();
+        var obj = o.toObject();
+        _.keys(obj).length.should.equal(0);
+    });
+
+    it('should write undefined values to object when option setUndefined: true', function () {
+        var SO = new SchemaObject({
+            string: String,
+            arr: [],
+            obj: {
+                str: String
+            }
+        }, {
+            setUndefined: true
+        });
+
+        var o = new SO();
+        var obj = o.toObject();
+        _.keys(obj).length.should.equal(3);
+    });
+
+    it('should output null values', function () {
+        var o = new SO();
+        o.string = null;
+        var obj = o.toObject();
+        should.equal(o.string, null);
+    });
+
+    if (_isProxySupported === true) {
+        it('should write non-schema indexes when strict mode is off', function () {
+            var SO = new SchemaObject({}, {
+                strict: false
+            });
+
+            var o = new SO();
+            o.randomIndex = 123;
+            var obj = o.toObject();
+            obj.randomIndex.should.equal(123);
+        });
+
+        it('strict mode false should be inherited by shorthand sub-SchemaObjects', function () {
+            var SO = new SchemaObject({
+                schemaObject: {
+                    string: String
+                },
+                schemaObjects: [{
+                    string: String
+                }]
+            }, {
+                strict: false
+            });
+
+            var o = new SO();
+            o.schemaObject.new = '123';
+            o.schemaObject.new.should.equal('123');
+            o.schemaObjects.push({
+                new: '123'
+            });
+            o.schemaObjects[0].new.should.equal('123');
+        });
+
+        it('strict mode true should be inherited by shorthand sub-SchemaObjects', function () {
+            var SO = new SchemaObject({
+                schemaObject: {
+                    string: String
+                },
+                schemaObjects: [{
+                    string: String
+                }]
+            }, {
+                strict: true
+            });
+
+            var o = new SO();
+            o.schemaObject.new = '123';
+            should.not.exist(o.schemaObject.new);
+            o.schemaObjects.push({
+                new: '123'
+            });
+            should.not.exist(o.schemaObjects[0].new);
+        });
+
+        it('should write non-schema dot notation deep indexes when strict mode is off', function () {
+            var SO = new SchemaObject({}, {
+                strict: false,
+                dotNotation: true
+            });
+
+            var o = new SO();
+            o['random.index'] = 123;
+            var obj = o.toObject();
+            obj.random.index.should.equal(123);
+        });
+    }
+});
+
+describe('clone()', function () {
+    var SO = new SchemaObject({
+        string: String,
+        subobj: {
+            string: String
+        },
+        subarr: [String]
+    });
+
+    it('should clone object, subobjects, and arrays', function () {
+        var o = new SO({
+            string: 'hello',
+            subobj: {
+                string: 'world'
+            },
+            subarr: ['!']
+        });
+
+        const o2 = o.clone();
+        o2._isSchemaObject().should.equal(true);
+
+        o2.string = 'HELLO';
+        o2.string.should.equal('HELLO');
+        o.string.should.equal('hello');
+
+        o2.subobj.string = 'WORLD';
+        o2.subobj.string.should.equal('WORLD');
+        o.subobj.string.should.equal('world');
+
+        o2.subarr[0] = '!!!';
+        o2.subarr[0].should.equal('!!!');
+        o.subarr[0].should.equal('!');
+    });
+});
+
+describe('validate()', function () {
+    var Address = new SchemaObject({
+        street: {
+            type: String,
+            required: true
+        },
+        country: {
+            type: String,
+            default: 'US'
+        }
+    });
+
+    var SO = new SchemaObject({
+        id: {
+            type: String,
+            required: true
+        },
+        name: {
+            type: String,
+            minLength: 2,
+            transform: function (value) {
+                return typeof value === 'string' ? value.trim() : value;
+            }
+        },
+        age: {
+            type: Number,
+            min: 0
+        },
+        status: {
+            type: String,
+            default: 'active'
+        },
+        created: Date,
+        secret: {
+            type: String,
+            invisible: true
+        },
+        locked: {
+            type: String,
+            readOnly: true
+        },
+        nickname: {
+            type: 'alias',
+            index: 'name'
+        },
+        tags: [{
+            type: String,
+            maxLength: 3
+        }],
+        unique: {
+            type: [Number],
+            unique: true
+        },
+        address: Address,
+        profile: {
+            first: String,
+            flags: {
+                type: String,
+                default: 'none'
+            }
+        },
+        addresses: [Address],
+        meta: {}
+    });
+
+    var values = [
+        {},
+        {id: 123, name: '  Scott  ', age: '29', created: '2016-01-01T00:00:00.000Z'},
+        {id: 'a', name: 'S', age: -1, created: 'a'},
+        {id: {}, age: 'a', status: 'inactive'},
+        {secret: 'hidden', locked: 'locked', nickname: 'Alias'},
+        {tags: ['a', 'bcd', 'toolong', 'e']},
+        {tags: 'a', unique: [1, '1', 2, 2, 3]},
+        {address: {street: 'Main'}},
+        {address: {}},
+        {address: 'a'},
+        {profile: {first: 1}},
+        {addresses: [{street: 'Main'}, {country: 'CA'}]},
+        {meta: {a: 1}},
+        {unknown: 'ignored'}
+    ];
+
+    it('should return the same value and errors as an instance', function () {
+        _.each(values, function (value) {
+            var o = new SO(value);
+            var result = SO.validate(value);
+
+            result.value.should.eql(o.toObject());
+            errorsOf(result.errors).should.eql(errorsOf(o.getErrors()));
+        });
+    });
+
+    it('should return a typecast plain object', function () {
+        var result = SO.validate({
+            id: 123,
+            age: '29',
+            tags: ['a', 1],
+            address: {
+                street: 'Main'
+            },
+            addresses: [{
+                street: 'Main'
+            }]
+        });
+
+        result.value.should.eql({
+            id: '123',
+            age: 29,
+            status: 'active',
+            tags: ['a', '1'],
+            address: {
+                street: 'Main'
+            },
+            profile: {
+                flags: 'none'
+            },
+            addresses: [{
+                street: 'Main',
+                country: 'US'
+            }]
+        });
+        result.errors.should.eql([]);
+        result.value.should.not.have.property('_isSchemaObject');
+        result.value.tags.should.not.have.property('_isSchemaArray');
+        Object.getPrototypeOf(result.value.tags).should.equal(Array.prototype);
+    });
+
+    it('should report required fields, including in sub-schemas', function () {
+        errorsOf(SO.validate({}).errors).should.eql([
+            ['id is required but not provided', 1000, 'id'],
+            ['street is required but not provided', 1000, 'address.street']
+        ]);
+    });
+
+    it('should not modify the values passed', function () {
+        var value = {
+            id: 123,
+            address: {
+                street: 'Main'
+            }
+        };
+        SO.validate(value);
+        value.should.eql({
+            id: 123,
+            address: {
+                street: 'Main'
+            }
+        });
+    });
+
+    it('should not add fields to the schema when strict mode is off', function () {
+        var Loose = new SchemaObject({
+            id: String
+        }, {
+            strict: false
+        });
+
+        Loose.validate({
+            id: 1,
+            extra: 'a'
+        }).value.should.eql({
+            id: '1',
+            extra: 'a'
+        });
+        Loose.toJSONSchema().properties.should.have.keys('id');
+    });
+
+    it('should call transforms, getters and required functions with the values as "this"', function () {
+        var Context = new SchemaObject({
+            first: String,
+            full: {
+                type: String,
+                transform: function (value) {
+                    return this.first + ' ' + value;
+                },
+                getter: function (value) {
+                    return value.toUpperCase();
+                }
+            },
+            last: {
+                type: String,
+                required: function () {
+                    return this.first !== undefined;
+                }
+            }
+        });
+        var result = Context.validate({
+            first: 'Scott',
+            full: 'Hovestadt'
+        });
+
+        result.value.should.eql({
+            first: 'Scott',
+            full: 'SCOTT HOVESTADT'
+        });
+        errorsOf(result.errors).should.eql([
+            ['last is required but not provided', 1000, 'last']
+        ]);
+    });
+
+    it('should match keys ignoring case when keysIgnoreCase is on', function () {
+        var IgnoreCase = new SchemaObject({
+            name: String
+        }, {
+            keysIgnoreCase: true
+        });
+
+        var result = IgnoreCase.validate({
+            NAME: 'z'
+        });
+        result.value.should.eql({
+            name: 'z'
+        });
+        result.errors.should.eql([]);
+    });
+});
+
+describe('compile', function () {
+    var schema = {
+        string: {
+            type: String,
+            minLength: [2, 'Too short'],
+            maxLength: 5,
+            regex: /^[a-z]+$/
+        },
+        email: {
+            type: String,
+            format: 'email'
+        },
+        clipped: {
+            type: String,
+            maxLength: 3,
+            clip: true
+        },
+        normalized: {
+            type: String,
+            normalize: 'NFKC',
+            collapseWhitespace: true,
+            trim: true,
+            uppercase: true,
+            maxLength: 6
+        },
+        enumerated: {
+            type: String,
+            enum: [['a', 'b'], 'Not in enum'],
+            stringTransform: function (string) {
+                return string.toLowerCase();
+            }
+        },
+        number: {
+            type: Number,
+            min: 1,
+            max: {
+                value: 10,
+                errorMessage: 'Too big'
+            }
+        },
+        localized: {
+            type: Number,
+            locale: 'de-CH'
+        },
+        money: {
+            type: Number,
+            precision: 2,
+            round: 'bankers',
+            positive: true,
+            multipleOf: 0.05
+        },
+        quantity: {
+            type: Number,
+            integer: true,
+            nonNegative: true,
+            precision: 1
+        },
+        boolean: Boolean,
+        date: Date,
+        bounded: {
+            type: Date,
+            min: [new Date('2016-01-01T00:00:00.000Z'), 'Too early'],
+            max: function () {
+                return new Date('2017-01-01T00:00:00.000Z');
+            },
+            past: true
+        },
+        formatted: {
+            type: Date,
+            format: ['DD/MM/YYYY HH:mm', 'Invalid date'],
+            timezone: 'America/Sao_Paulo'
+        },
+        even: {
+            type: Number,
+            validate: function (value) {
+                return value % 2 === 0 || 'Must be even';
+            }
+        },
+        transformed: {
+            type: Number,
+            transform: function (value) {
+                return value * 2;
+            }
+        },
+        arr: [{
+            type: Number,
+            max: 5
+        }],
+        obj: {
+            string: String
+        },
+        any: {}
+    };
+    var Interpreted = new SchemaObject(schema);
+    var Compiled = new SchemaObject(schema, {
+        compile: true
+    });
+
+    var values = [
+        {string: 'abc'}, {string: 'a'}, {string: 'abcdef'}, {string: 'ABC'}, {string: {}},
+        {normalized: '  \uFB01le  one '}, {normalized: ' a  b  c  d '}, {email: 'scott@example.com'}, {email: 'scott'}, {clipped: 'abcdef'}, {enumerated: 'A'}, {enumerated: 'c'},
+        {localized: 'CHF 1\'234.5'}, {localized: '1,2,3'}, {localized: '12,5%'},
+        {money: 1.125}, {money: 1.15}, {money: 0}, {quantity: 1.5}, {quantity: -1}, {quantity: 3}, {number: '5'}, {number: 0}, {number: 11}, {number: '1,000'}, {number: 'a'}, {number: []}, {number: true},
+        {boolean: 'false'}, {boolean: 0}, {boolean: 'yes'}, {date: '2016-01-01'}, {date: 1451606400}, {date: 'a'}, {date: true},
+        {bounded: '2016-06-01T00:00:00.000Z'}, {bounded: '2015-06-01T00:00:00.000Z'}, {bounded: '2017-06-01T00:00:00.000Z'},
+        {formatted: '21/06/1988 14:30'}, {formatted: '1988-06-21'}, {formatted: 1},
+        {even: 2}, {even: 3}, {transformed: 2}, {arr: [1, '2', 6]}, {arr: 'a'}, {obj: {string: 1}}, {obj: 'a'}, {any: 'a'}, {string: null}
+    ];
+
+    it('should typecast and validate exactly like the interpreted typecast', function () {
+        _.each(values, function (value) {
+            var interpreted = new Interpreted(value);
+            var compiled = new Compiled(value);
+
+            compiled.toObject().should.eql(interpreted.toObject());
+            errorsOf(compiled.getErrors()).should.eql(errorsOf(interpreted.getErrors()));
         });
+    });
 
-        var user = new User();
-        user.populate({
-            firstName: 'Scott',
-            lastName: 'Hovestadt'
+    it('should fall back to the interpreted typecast for properties that can\'t be compiled', function () {
+        var SO = new SchemaObject({
+            string: {
+                type: String,
+                unknownProperty: true
+            },
+            alias: {
+                type: 'alias',
+                index: 'string'
+            }
+        }, {
+            compile: true
         });
-        user.firstName.should.equal('Scott');
-        user.lastName.should.equal('Hovestadt');
+        var o = new SO({
+            alias: 1
+        });
+
+        o.string.should.equal('1');
+        o.alias.should.equal('1');
     });
-});
 
-describe('clear()', function () {
-    it('should return array elements to their original state, which is an empty array', function () {
+    it('should inline preserveNull and useDecimalNumberGroupSeparator', function () {
         var SO = new SchemaObject({
-            strings: [String]
+            string: String,
+            number: Number
+        }, {
+            compile: true,
+            preserveNull: true,
+            useDecimalNumberGroupSeparator: true
+        });
+        var o = new SO({
+            string: null,
+            number: '1.000,5'
         });
 
-        var o = new SO();
-        o.strings.push('hello');
-        o.strings.should.have.lengthOf(1);
-        o.clear();
-        o.strings.should.have.lengthOf(0);
+        should(o.string).be.null();
+        o.number.should.equal(1000.5);
+    });
+
+    it('should inline nullable', function () {
+        var SO = new SchemaObject({
+            string: {
+                type: String,
+                nullable: true
+            },
+            list: {
+                type: Array,
+                arrayType: Number,
+                nullable: true
+            }
+        }, {
+            compile: true
+        });
+        var o = new SO({
+            string: null,
+            list: null
+        });
+
+        should(o.string).be.null();
+        should(o.list).be.null();
+        o.list = ['1'];
+        o.list.toArray().should.eql([1]);
+    });
+
+    it('should inline the locale option', function () {
+        var SO = new SchemaObject({
+            number: Number
+        }, {
+            compile: true,
+            locale: 'fr-FR'
+        });
+
+        new SO({
+            number: '1 000,5'
+        }).number.should.equal(1000.5);
     });
 });
 
-describe('toObject()', function () {
+describe('toJSONSchema()', function () {
+    var Company = new SchemaObject({
+        name: {
+            type: String,
+            required: true
+        }
+    });
+
     var SO = new SchemaObject({
-        string: String,
-        date: Date,
-        invisible: {
+        string: {
             type: String,
-            invisible: true
+            minLength: 1,
+            maxLength: [10, 'string is too long'],
+            regex: /^[a-z]+$/
         },
-        schemaObject: {
-            string: String,
-            anotherObject: {
-                name: String,
-                zip: Number
+        gender: {
+            type: String,
+            enum: ['m', 'f'],
+            default: 'm'
+        },
+        number: {
+            type: Number,
+            min: 0,
+            max: {
+                value: 100,
+                errorMessage: 'number is too big'
             }
         },
-        anyObj: Object,
-        schemaObjects: [{
-            string: String
-        }],
-        arrayOfStrings: [String],
-        magicDate: {
-            type: Date,
-            getter: function (date) {
-                if (date) {
-                    return date.getTime();
-                }
+        bool: Boolean,
+        date: Date,
+        profile: {
+            firstName: {
+                type: String,
+                required: true
             }
+        },
+        company: Company,
+        anyObject: {},
+        tags: {
+            type: Array,
+            arrayType: String,
+            unique: true
+        },
+        profiles: [{
+            firstName: String
+        }],
+        anything: 'any',
+        id: {
+            type: String,
+            readOnly: true,
+            required: [true, 'id is required']
+        },
+        secret: {
+            type: String,
+            invisible: true
+        },
+        alias: {
+            type: 'alias',
+            index: 'string'
         }
     });
 
-    it('should return undefined for empty String field', function () {
-        var o = new SO();
-        var obj = o.toObject();
-
-        (obj.string === undefined).should.be.true;
+    it('should export the schema as a JSON Schema document', function () {
+        SO.toJSONSchema().should.eql({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: {
+                string: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 10,
+                    pattern: '^[a-z]+$'
+                },
+                gender: {
+                    type: 'string',
+                    enum: ['m', 'f'],
+                    default: 'm'
+                },
+                number: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 100
+                },
+                bool: {
+                    type: 'boolean'
+                },
+                date: {
+                    type: 'string',
+                    format: 'date-time'
+                },
+                profile: {
+                    type: 'object',
+                    properties: {
+                        firstName: {
+                            type: 'string'
+                        }
+                    },
+                    required: ['firstName']
+                },
+                company: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string'
+                        }
+                    },
+                    required: ['name']
+                },
+                anyObject: {
+                    type: 'object'
+                },
+                tags: {
+                    type: 'array',
+                    items: {
+                        type: 'string'
+                    },
+                    uniqueItems: true
+                },
+                profiles: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            firstName: {
+                                type: 'string'
+                            }
+                        }
+                    }
+                },
+                anything: {},
+                id: {
+                    type: 'string',
+                    readOnly: true
+                }
+            },
+            required: ['id']
+        });
     });
 
-    it('should have index "string" with value "1234"', function () {
-        var o = new SO();
-
-        o.string = 1234;
-        var obj = o.toObject();
-        obj.string.should.be.a.String;
-        obj.string.should.equal('1234');
+    it('should be serializable to JSON', function () {
+        JSON.parse(JSON.stringify(SO.toJSONSchema())).should.eql(SO.toJSONSchema());
     });
 
-    it('should write Date object for Date type', function () {
-        var o = new SO();
-
-        o.date = 582879600000;
-        var obj = o.toObject();
-        obj.date.should.be.an.instanceof(Date);
-        obj.date.getTime().should.equal(582879600000);
-        obj.date.getMonth().should.equal(5);
-        obj.date.getDate().should.equal(21);
-        obj.date.getFullYear().should.equal(1988);
+    it('should not affect instances created after export', function () {
+        var o = new SO({
+            string: 'abc',
+            profile: {
+                firstName: 'Scott'
+            },
+            tags: [1, 1, 2]
+        });
+        o.string.should.equal('abc');
+        o.profile.firstName.should.equal('Scott');
+        o.tags.toArray().should.eql(['1', '2']);
     });
 
-    it('should write getter when getter returns different type', function () {
-        var o = new SO();
-
-        o.magicDate = 'Tue Jun 21 1988 00:00:00 GMT-0700 (PDT)';
-        var obj = o.toObject();
-        obj.magicDate.should.be.an.instanceof(Number);
-        obj.magicDate.should.equal(582879600000);
+    it('should not export regexes with flags other than unicode', function () {
+        new SchemaObject({
+            name: {
+                type: String,
+                regex: /^[a-z]+$/i
+            },
+            code: {
+                type: String,
+                regex: /^\w+$/u
+            }
+        }).toJSONSchema().properties.should.eql({
+            name: {
+                type: 'string'
+            },
+            code: {
+                type: 'string',
+                pattern: '^\\w+$'
+            }
+        });
     });
 
-    it('should write Arrays for Array type', function () {
-        var o = new SO();
-        o.arrayOfStrings = ['hello', 'world'];
-
-        var obj = o.toObject();
-        obj.arrayOfStrings.should.be.an.instanceof(Array);
-        obj.arrayOfStrings[0].should.equal('hello');
-        obj.arrayOfStrings[1].should.equal('world');
+    it('should export BigInt and decimal as strings', function () {
+        new SchemaObject({
+            id: BigInt,
+            amount: {
+                type: 'decimal',
+                scale: 2
+            }
+        }).toJSONSchema().properties.should.eql({
+            id: {
+                type: 'string',
+                pattern: '^-?\\d+$'
+            },
+            amount: {
+                type: 'string',
+                pattern: '^-?\\d+(\\.\\d+)?$'
+            }
+        });
     });
+});
 
-    it('should convert nested SchemaObjects to primitive Object', function () {
-        var o = new SO();
+describe('fromJSONSchema()', function () {
+    var jsonSchema = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Order',
+        type: 'object',
+        $defs: {
+            address: {
+                type: 'object',
+                properties: {
+                    street: {
+                        type: 'string'
+                    },
+                    zip: {
+                        type: 'string',
+                        pattern: '^[0-9]{5}$'
+                    }
+                },
+                required: ['street']
+            }
+        },
+        properties: {
+            id: {
+                type: 'string',
+                minLength: 3,
+                maxLength: 10
+            },
+            status: {
+                type: 'string',
+                enum: ['open', 'closed'],
+                default: 'open'
+            },
+            total: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1000
+            },
+            paid: {
+                type: 'boolean'
+            },
+            createdAt: {
+                type: 'string',
+                format: 'date-time'
+            },
+            tags: {
+                type: 'array',
+                items: {
+                    type: 'string'
+                },
+                uniqueItems: true
+            },
+            billing: {
+                $ref: '#/$defs/address'
+            },
+            shipping: {
+                $ref: '#/$defs/address'
+            },
+            metadata: {
+                type: 'object'
+            },
+            anything: {}
+        },
+        required: ['id']
+    };
 
-        o.schemaObject.string = 1234;
-        var obj = o.toObject();
-        obj.schemaObject.string.should.be.a.String;
-        obj.schemaObject.string.should.equal('1234');
-        obj.schemaObject.should.be.an.Object;
-        obj.schemaObject.should.should.not.have.property('toObject');
+    it('should typecast values according to the JSON Schema', function () {
+        var SO = SchemaObject.fromJSONSchema(jsonSchema);
+        var o = new SO({
+            id: 12345,
+            total: '99.5',
+            paid: 'false',
+            createdAt: '2018-06-21T00:00:00.000Z',
+            tags: [1, 1, 2],
+            billing: {
+                street: 123,
+                zip: '12345'
+            },
+            metadata: {
+                source: 'web'
+            },
+            anything: 1
+        });
+
+        o.id.should.equal('12345');
+        o.status.should.equal('open');
+        o.total.should.equal(99.5);
+        o.paid.should.equal(false);
+        o.createdAt.getTime().should.equal(1529539200000);
+        o.tags.toArray().should.eql(['1', '2']);
+        o.billing.street.should.equal('123');
+        o.billing.zip.should.equal('12345');
+        o.metadata.source.should.equal('web');
+        o.anything.should.equal(1);
+
+        // Sub-schemas always exist, so required fields within them are enforced.
+        _.map(o.getErrors(), 'fieldSchema.name').should.eql(['shipping.street']);
     });
 
-    it('should convert SchemaObjects nested within Arrays to primitive Objects', function () {
-        var o = new SO();
-
-        o.schemaObjects.push({
-            string: 1234
+    it('should enforce validation keywords and required', function () {
+        var SO = SchemaObject.fromJSONSchema(jsonSchema);
+        var o = new SO({
+            status: 'unknown',
+            total: 1001,
+            shipping: {
+                zip: 'abc'
+            }
         });
-        var obj = o.toObject();
-        obj.schemaObjects[0].string.should.be.a.String;
-        obj.schemaObjects[0].string.should.equal('1234');
-        obj.schemaObjects[0].should.be.an.Object;
-        obj.schemaObjects[0].should.not.have.property('toObject');
-    });
 
-    it('should not write invisible indexes', function () {
-        var o = new SO();
+        should.not.exist(o.id);
+        o.status.should.equal('open');
+        should.not.exist(o.total);
+        should.not.exist(o.shipping.zip);
 
-        o.invisible = 'hello';
-        o.invisible.should.be.a.String;
-        o.invisible.should.equal('hello');
-        var obj = o.toObject();
-        should.not.exist(obj.invisible);
+        var errorCodes = _.map(o.getErrors(), 'errorCode');
+        errorCodes.should.containEql(1211);
+        errorCodes.should.containEql(1222);
+        errorCodes.should.containEql(1214);
+        _.map(o.getErrors(), 'fieldSchema.name').should.containEql('id');
+        _.map(o.getErrors(), 'fieldSchema.name').should.containEql('shipping.street');
     });
 
-    it('should be called for serializing an object to JSON', function () {
-        var o = new SO();
-        o.string = 'hello';
-        o.date = new Date();
-        o.arrayOfStrings.push('1');
-        o.arrayOfStrings.push(1234);
-        o.schemaObject.string = 'test';
-        o.schemaObjects.push({
-            string: 1234
+    it('should pass options to the created factory', function () {
+        var SO = SchemaObject.fromJSONSchema({
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string'
+                }
+            }
+        }, {
+            methods: {
+                greet: function () {
+                    return 'Hello ' + this.name;
+                }
+            }
         });
 
-        var obj = JSON.stringify(o.toObject());
-        var jsonObject = JSON.stringify(o);
-        obj.should.equal(jsonObject);
+        new SO({
+            name: 'Scott'
+        }).greet().should.equal('Hello Scott');
     });
 
-    it('should be called for serializing a sub-SchemaObject to JSON', function () {
-        var o = new SO();
-        o.schemaObject.string = 'test';
-        o.schemaObject.anotherObject.name = 'hello';
-        o.schemaObject.anotherObject.zip = 'hello';
+    it('should throw on unsupported keywords by default', function () {
+        (function () {
+            SchemaObject.fromJSONSchema({
+                type: 'object',
+                properties: {
+                    id: {
+                        anyOf: [{
+                            type: 'string'
+                        }, {
+                            type: 'number'
+                        }]
+                    }
+                }
+            });
+        }).should.throw('[schema-object] Unsupported JSON Schema keyword "anyOf" at "#/properties/id".');
+    });
 
-        var obj = JSON.stringify(o.schemaObject.toObject());
-        var jsonObject = JSON.stringify(o.schemaObject);
-        obj.should.equal(jsonObject);
+    it('should report unsupported keywords to onUnsupportedKeyword', function () {
+        var reported = [];
+        var SO = SchemaObject.fromJSONSchema({
+            type: 'object',
+            properties: {
+                id: {
+                    type: 'string',
+                    const: 'abc'
+                },
+                count: {
+                    type: ['number', 'null']
+                }
+            }
+        }, {
+            onUnsupportedKeyword: function (keyword, path) {
+                reported.push(keyword + ' ' + path);
+            }
+        });
+
+        reported.should.eql(['const #/properties/id', 'type #/properties/count']);
+        new SO({
+            id: 1
+        }).id.should.equal('1');
     });
 
-    it('should not write undefined values to object when option setUndefined: false (default)', function () {
-        var o = new SO();
-        var obj = o.toObject();
-        _.keys(obj).length.should.equal(0);
+    it('should reject recursive references', function () {
+        (function () {
+            SchemaObject.fromJSONSchema({
+                type: 'object',
+                $defs: {
+                    node: {
+                        type: 'object',
+                        properties: {
+                            child: {
+                                $ref: '#/$defs/node'
+                            }
+                        }
+                    }
+                },
+                properties: {
+                    root: {
+                        $ref: '#/$defs/node'
+                    }
+                }
+            });
+        }).should.throw('[schema-object] Recursive JSON Schema reference "#/$defs/node" is not supported.');
     });
 
-    it('should write undefined values to object when option setUndefined: true', function () {
+    it('should import a document exported by toJSONSchema()', function () {
         var SO = new SchemaObject({
-            string: String,
-            arr: [],
-            obj: {
-                str: String
+            name: {
+                type: String,
+                minLength: 1,
+                required: true
+            },
+            birthDate: Date,
+            tags: [String],
+            profile: {
+                age: {
+                    type: Number,
+                    min: 0
+                }
             }
-        }, {
-            setUndefined: true
         });
 
-        var o = new SO();
-        var obj = o.toObject();
-        _.keys(obj).length.should.equal(3);
+        SchemaObject.fromJSONSchema(SO.toJSONSchema()).toJSONSchema().should.eql(SO.toJSONSchema());
     });
+});
 
-    it('should output null values', function () {
-        var o = new SO();
-        o.string = null;
-        var obj = o.toObject();
-        should.equal(o.string, null);
+describe('generateTypeScript()', function () {
+    var Company = new SchemaObject({
+        name: {
+            type: String,
+            required: true
+        }
     });
 
-    if (_isProxySupported === true) {
-        it('should write non-schema indexes when strict mode is off', function () {
-            var SO = new SchemaObject({}, {
-                strict: false
-            });
-
-            var o = new SO();
-            o.randomIndex = 123;
-            var obj = o.toObject();
-            obj.randomIndex.should.equal(123);
-        });
+    var User = new SchemaObject({
+        id: {
+            type: String,
+            readOnly: true
+        },
+        gender: {
+            type: String,
+            enum: ['m', 'f']
+        },
+        age: {
+            type: Number,
+            default: 18
+        },
+        active: Boolean,
+        birthDate: Date,
+        work: Company,
+        previousWork: [Company],
+        tags: [String],
+        profile: {
+            firstName: String,
+            'last-name': String
+        },
+        settings: {},
+        anything: 'any',
+        sex: {
+            type: 'alias',
+            index: 'gender'
+        }
+    });
 
-        it('strict mode false should be inherited by shorthand sub-SchemaObjects', function () {
-            var SO = new SchemaObject({
-                schemaObject: {
-                    string: String
-                },
-                schemaObjects: [{
-                    string: String
-                }]
-            }, {
-                strict: false
-            });
+    it('should generate interfaces for all factories', function () {
+        SchemaObject.generateTypeScript({
+            User: User,
+            Company: Company,
+            notAFactory: function () {}
+        }).should.equal([
+            '// Generated by schemaobject-dts. Do not edit.',
+            '',
+            'export interface User {',
+            '    readonly id?: string;',
+            '    gender?: "m" | "f";',
+            '    age: number;',
+            '    active?: boolean;',
+            '    birthDate?: Date;',
+            '    work: Company;',
+            '    previousWork: Array<Company>;',
+            '    tags: Array<string>;',
+            '    profile: {',
+            '        firstName?: string;',
+            '        "last-name"?: string;',
+            '    };',
+            '    settings: { [key: string]: any };',
+            '    anything?: any;',
+            '    sex?: "m" | "f";',
+            '}',
+            '',
+            'export interface Company {',
+            '    name: string;',
+            '}',
+            ''
+        ].join('\n'));
+    });
 
-            var o = new SO();
-            o.schemaObject.new = '123';
-            o.schemaObject.new.should.equal('123');
-            o.schemaObjects.push({
-                new: '123'
-            });
-            o.schemaObjects[0].new.should.equal('123');
-        });
+    it('should declare sub-schemas without a name inline', function () {
+        SchemaObject.generateTypeScript({
+            User: new SchemaObject({
+                work: Company
+            })
+        }).should.containEql([
+            '    work: {',
+            '        name: string;',
+            '    };'
+        ].join('\n'));
+    });
 
-        it('strict mode true should be inherited by shorthand sub-SchemaObjects', function () {
-            var SO = new SchemaObject({
-                schemaObject: {
-                    string: String
-                },
-                schemaObjects: [{
-                    string: String
-                }]
-            }, {
-                strict: true
-            });
+    it('should declare BigInt as bigint and decimal as string', function () {
+        SchemaObject.generateTypeScript({
+            Entry: new SchemaObject({
+                id: BigInt,
+                amount: 'decimal'
+            })
+        }).should.containEql([
+            '    id?: bigint;',
+            '    amount?: string;'
+        ].join('\n'));
+    });
+});
 
-            var o = new SO();
-            o.schemaObject.new = '123';
-            should.not.exist(o.schemaObject.new);
-            o.schemaObjects.push({
-                new: '123'
-            });
-            should.not.exist(o.schemaObjects[0].new);
+describe('validate option', function () {
+    it('should evaluate a rule function against the object in getErrors()', function () {
+        var SO = new SchemaObject({
+            startDate: Date,
+            endDate: Date
+        }, {
+            validate: function () {
+                return !this.startDate || !this.endDate || this.endDate >= this.startDate;
+            }
         });
 
-        it('should write non-schema dot notation deep indexes when strict mode is off', function () {
-            var SO = new SchemaObject({}, {
-                strict: false,
-                dotNotation: true
-            });
+        var o = new SO({
+            startDate: '2016-01-02',
+            endDate: '2016-01-01'
+        });
+        errorsOf(o.getErrors()).should.eql([
+            ['Object failed validation rule.', 1203, '']
+        ]);
+        o.getErrors()[0].errorType.should.equal('ValidationError');
+        (o.getErrors()[0].schemaObject === o).should.be.true();
+        o.isErrors().should.be.true();
+
+        o.endDate = '2016-01-03';
+        o.isErrors().should.be.false();
+    });
 
-            var o = new SO();
-            o['random.index'] = 123;
-            var obj = o.toObject();
-            obj.random.index.should.equal(123);
+    it('should attach errors to fields', function () {
+        var SO = new SchemaObject({
+            email: String,
+            phone: String
+        }, {
+            validate: [
+                function () {
+                    return !!(this.email || this.phone) || {
+                        errorMessage: 'Either email or phone is required',
+                        fields: ['email', 'phone']
+                    };
+                },
+                function () {
+                    return 'Always fails';
+                }
+            ]
         });
-    }
-});
 
-describe('clone()', function () {
-    var SO = new SchemaObject({
-        string: String,
-        subobj: {
-            string: String
-        },
-        subarr: [String]
+        var errors = new SO().getErrors();
+        errorsOf(errors).should.eql([
+            ['Either email or phone is required', 1203, 'email'],
+            ['Either email or phone is required', 1203, 'phone'],
+            ['Always fails', 1203, '']
+        ]);
+        errors[0].fieldSchema.type.should.equal('string');
+        should.not.exist(errors[0].rule);
     });
 
-    it('should clone object, subobjects, and arrays', function () {
-        var o = new SO({
-            string: 'hello',
-            subobj: {
-                string: 'world'
-            },
-            subarr: ['!']
+    it('should support named rules returning several errors', function () {
+        var SO = new SchemaObject({
+            min: Number,
+            max: Number
+        }, {
+            validate: {
+                range: function () {
+                    if (this.min > this.max) {
+                        return [{
+                            errorMessage: 'min must be below max',
+                            fields: 'min'
+                        }, {
+                            errorMessage: 'max must be above min',
+                            fields: 'max'
+                        }];
+                    }
+                },
+                positive: function () {
+                    return this.min >= 0;
+                }
+            }
         });
 
-        const o2 = o.clone();
-        o2._isSchemaObject().should.equal(true);
-
-        o2.string = 'HELLO';
-        o2.string.should.equal('HELLO');
-        o.string.should.equal('hello');
+        var errors = new SO({
+            min: -1,
+            max: -2
+        }).getErrors();
+        errorsOf(errors).should.eql([
+            ['min must be below max', 1203, 'min'],
+            ['max must be above min', 1203, 'max'],
+            ['Object failed validation rule.', 1203, '']
+        ]);
+        _.map(errors, 'rule').should.eql(['range', 'range', 'positive']);
+        errors[0].setValue.should.equal(-1);
+    });
 
-        o2.subobj.string = 'WORLD';
-        o2.subobj.string.should.equal('WORLD');
-        o.subobj.string.should.equal('world');
+    it('should name errors of sub-SchemaObjects after the field', function () {
+        var Range = new SchemaObject({
+            min: Number,
+            max: Number
+        }, {
+            validate: function () {
+                return this.min === undefined || this.min <= this.max || {
+                    errorMessage: 'Invalid range',
+                    fields: 'max'
+                };
+            }
+        });
+        var SO = new SchemaObject({
+            range: Range,
+            inline: {
+                a: Number
+            }
+        }, {
+            validate: function () {
+                return this.range.min !== 1 || 'Range can\'t start at 1';
+            }
+        });
 
-        o2.subarr[0] = '!!!';
-        o2.subarr[0].should.equal('!!!');
-        o.subarr[0].should.equal('!');
+        var o = new SO({
+            range: {
+                min: 1,
+                max: 0
+            }
+        });
+        errorsOf(o.getErrors()).should.eql([
+            ['Range can\'t start at 1', 1203, ''],
+            ['Invalid range', 1203, 'range.max']
+        ]);
+        errorsOf(SO.validate(o.toObject()).errors).should.eql(errorsOf(o.getErrors()));
     });
 });
 
@@ -2797,6 +6625,180 @@ describe('getErrors()', function () {
         o.getErrors().length.should.equal(0);
         o.isErrors().should.equal(false);
     });
+
+    it('should not rename fields of sub-SchemaObjects when called repeatedly', function () {
+        var Address = new SchemaObject({
+            street: {
+                type: String,
+                required: true
+            }
+        });
+        var SO = new SchemaObject({
+            billing: Address,
+            shipping: Address
+        });
+
+        var o = new SO();
+        _.map(o.getErrors(), 'fieldSchema.name').should.eql(['billing.street', 'shipping.street']);
+        _.map(o.getErrors(), 'fieldSchema.name').should.eql(['billing.street', 'shipping.street']);
+        _.map(new Address().getErrors(), 'fieldSchema.name').should.eql(['street']);
+    });
+});
+
+describe('validateAsync()', function () {
+    var taken = ['scott', 'admin'];
+
+    function isAvailable(username) {
+        return new Promise(function (resolve) {
+            setTimeout(function () {
+                resolve(taken.indexOf(username) === -1);
+            }, 1);
+        });
+    }
+
+    var Account = new SchemaObject({
+        username: {
+            type: String,
+            validateAsync: [isAvailable, 'Username is taken']
+        }
+    });
+
+    var SO = new SchemaObject({
+        username: {
+            type: String,
+            required: true,
+            validateAsync: isAvailable,
+            transformAsync: function (value) {
+                return Promise.resolve(value.toLowerCase());
+            }
+        },
+        email: {
+            type: String,
+            validateAsync: function (value) {
+                return Promise.resolve(value.indexOf('@') !== -1 || 'Email is invalid');
+            }
+        },
+        code: {
+            type: Number,
+            transformAsync: function (value) {
+                return Promise.resolve(value + '1');
+            }
+        },
+        tags: [{
+            type: String,
+            transformAsync: function (value) {
+                return Promise.resolve(value.toUpperCase());
+            },
+            validateAsync: function (value) {
+                return Promise.resolve(value !== 'BAD');
+            }
+        }],
+        account: Account,
+        accounts: [Account]
+    });
+
+    it('should resolve with no errors when asynchronous validators pass', function () {
+        var o = new SO({
+            username: 'Available',
+            email: 'a@b.c'
+        });
+
+        return o.validateAsync().then(function (errors) {
+            errors.should.eql([]);
+            o.username.should.equal('available');
+        });
+    });
+
+    it('should resolve with the errors getErrors() returns', function () {
+        var o = new SO({
+            username: 'SCOTT',
+            email: 'invalid',
+            tags: ['ok', 'bad'],
+            account: {
+                username: 'admin'
+            },
+            accounts: [{
+                username: 'free'
+            }, {
+                username: 'scott'
+            }]
+        });
+
+        return o.validateAsync().then(function (errors) {
+            _.map(errors, function (error) {
+                return [error.errorMessage, error.errorCode, error.fieldSchema.name];
+            }).should.eql([
+                ['Value failed asynchronous validation.', 1201, 'username'],
+                ['Email is invalid', 1201, 'email'],
+                ['Value failed asynchronous validation.', 1201, 'tags.1'],
+                ['Username is taken', 1201, 'accounts.1.username'],
+                ['Username is taken', 1201, 'account.username']
+            ]);
+            errors[0].errorType.should.equal('ValidationError');
+            errors[0].setValue.should.equal('scott');
+            (errors[0].schemaObject === o).should.be.true();
+            o.getErrors().should.have.length(5);
+            o.tags.toArray().should.eql(['OK', 'BAD']);
+        });
+    });
+
+    it('should typecast values returned by asynchronous transforms', function () {
+        var o = new SO({
+            username: 'a',
+            code: 2
+        });
+
+        return o.validateAsync().then(function () {
+            o.code.should.equal(21);
+        });
+    });
+
+    it('should skip asynchronous validators of unset values', function () {
+        var o = new SO();
+
+        return o.validateAsync().then(function (errors) {
+            _.map(errors, 'fieldSchema.name').should.eql(['username']);
+        });
+    });
+
+    it('should replace errors from the previous run', function () {
+        var o = new SO({
+            username: 'scott'
+        });
+
+        return o.validateAsync().then(function (errors) {
+            errors.should.have.length(1);
+            o.username = 'free';
+            return o.validateAsync();
+        }).then(function (errors) {
+            errors.should.eql([]);
+            o.username = 'admin';
+            return o.validateAsync();
+        }).then(function (errors) {
+            errors.should.have.length(1);
+            o.clearErrors();
+            o.isErrors().should.be.false();
+        });
+    });
+
+    it('should reject when an asynchronous validator rejects', function () {
+        var Failing = new SchemaObject({
+            string: {
+                type: String,
+                validateAsync: function () {
+                    return Promise.reject(new Error('Connection lost'));
+                }
+            }
+        });
+
+        return new Failing({
+            string: 'a'
+        }).validateAsync().then(function () {
+            throw new Error('Should have rejected');
+        }, function (error) {
+            error.message.should.equal('Connection lost');
+        });
+    });
 });
 
 describe('clearErrors()', function () {
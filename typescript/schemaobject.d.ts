@@ -1,10 +1,14 @@
 interface SchemaObjectInstance<T> {
-    populate(values: T): void;
-    toObject(): T;
-    clone(): SchemaObjectInstance<T>;
+    populate(values: SchemaObjectValues<T>): void;
+    toObject(): SchemaObjectValues<T>;
+    toJSON(): SchemaObjectValues<T>;
+    clone(): T & SchemaObjectInstance<T>;
     clear(): void;
     getErrors(): Array<{
         errorMessage: string;
+        errorCode: number;
+        errorType?: string;
+        rule?: string;
         setValue: any;
         originalValue: any;
         fieldSchema: {
@@ -15,16 +19,344 @@ interface SchemaObjectInstance<T> {
     }>;
     clearErrors(): void;
     isErrors(): boolean;
+    getMatchedBranch(index: string): number | undefined;
+    validateAsync(): Promise<ReturnType<SchemaObjectInstance<T>['getErrors']>>;
+}
+
+// Plain values accepted by populate() and returned by toObject().
+type SchemaObjectValues<T> = {
+    [K in keyof T]?: SchemaObjectPlainField<T[K]>;
+};
+
+// Distributes over nullable fields.
+type SchemaObjectPlainField<V> =
+    V extends SchemaArray<infer E> | SchemaSet<infer E> ? Array<SchemaObjectPlainValue<E>> :
+    V extends SchemaMap<infer M> ? { [key: string]: SchemaObjectPlainValue<M> } :
+    SchemaObjectPlainValue<V>;
+
+type SchemaObjectPlainValue<V> =
+    V extends Date ? Date :
+    V extends SchemaObjectInstance<infer T> ? SchemaObjectValues<T> :
+    V;
+
+// Represents a basic array with typecasted values.
+interface SchemaArray<T> extends Array<T> {
+    toArray(): Array<SchemaObjectPlainValue<T>>;
+    toJSON(): Array<SchemaObjectPlainValue<T>>;
+}
+
+// Represents a native Set with typecasted values.
+interface SchemaSet<T> extends Set<T> {
+    toArray(): Array<SchemaObjectPlainValue<T>>;
+    toJSON(): Array<SchemaObjectPlainValue<T>>;
+}
+
+// Represents a native Map with typecasted values and validated keys.
+interface SchemaMap<V> extends Map<string, V> {
+    toObject(): { [key: string]: SchemaObjectPlainValue<V> };
+    toJSON(): { [key: string]: SchemaObjectPlainValue<V> };
 }
 
 declare module 'schema-object' {
 
-    interface SchemaObject {
-        new <T>(schema: { [key in keyof T]: any }, options?: any): {
-            new (values?: T): T & SchemaObjectInstance<T>;
+    namespace SchemaObject {
+        type Instance<T> = T & SchemaObjectInstance<T>;
+        type Values<T> = SchemaObjectValues<T>;
+        type Array<T> = SchemaArray<T>;
+
+        // Validator value, optionally with a custom error message in array or object form.
+        type Validator<V> = V | [V, string] | { value: V; errorMessage: string };
+
+        // Custom validator, returns false or an error message to reject the value.
+        type CustomValidator = (value: any, originalValue: any, properties: any) => boolean | string | void;
+
+        // Object-level validation rule, returns false, an error message or errors attached to fields to reject the object.
+        type ValidationRuleResult = boolean | string | void | { errorMessage?: string; fields?: string | string[] };
+        type ValidationRule<I> = (this: I) => ValidationRuleResult | ValidationRuleResult[];
+
+        // Date min or max, functions are evaluated when the value is set.
+        type DateBound = Date | number | string | ((this: any) => Date | number | string);
+
+        // Built-in string formats, more can be registered.
+        type StringFormat = 'email' | 'url' | 'uuid' | 'ipv4' | 'ipv6' | 'hostname' | 'iso-date' | 'hex-color' | 'slug' | 'phone-e164' | string;
+
+        // Date formats, or a pattern such as 'DD/MM/YYYY HH:mm'.
+        type DateFormat = 'unix' | 'unixMs' | 'iso' | string;
+
+        // BigInt constructor, declared structurally so ES2020 typings aren't required.
+        type BigIntLike = { (value: any): bigint; asIntN(bits: number, int: bigint): bigint };
+
+        // Field type registered with registerType().
+        interface CustomTypeDefinition<V = any> {
+            cast(this: any, value: any, properties: any): V | undefined;
+            validate?(this: any, value: V, properties: any): boolean | string | void;
+            toObject?(value: V, properties: any): any;
+            toJSONSchema?(properties: any): { [key: string]: any };
+        }
+
+        // Shorthand type declarations accepted by a schema.
+        type TypeDefinition =
+            StringConstructor | NumberConstructor | BooleanConstructor | DateConstructor |
+            ArrayConstructor | ObjectConstructor | SetConstructor | MapConstructor |
+            'string' | 'number' | 'boolean' | 'date' | 'array' | 'set' | 'map' | 'object' | 'alias' | 'any' |
+            'bigint' | 'decimal' | 'buffer' | BigIntLike |
+            // Types registered with registerType().
+            (string & {}) |
+            null | undefined |
+            (new (...args: any[]) => SchemaObjectInstance<any>) |
+            [] | [FieldDefinition] |
+            SchemaDefinition;
+
+        interface PropertiesDefinition {
+            type: TypeDefinition | PropertiesDefinition;
+            default?: any;
+            transform?(value: any, originalValue: any, properties: any): any;
+            getter?(value: any): any;
+            required?: boolean | [boolean, string] | ((this: any) => boolean) | [(this: any) => boolean, string];
+            readOnly?: boolean;
+            nullable?: boolean;
+            invisible?: boolean;
+            validate?: CustomValidator | CustomValidator[];
+            transformAsync?(value: any, properties: any): any;
+            validateAsync?: Validator<(value: any, properties: any) => boolean | string | void | PromiseLike<boolean | string | void>>;
+
+            // String
+            stringTransform?(value: string, originalValue: any, properties: any): string;
+            trim?: boolean;
+            collapseWhitespace?: boolean;
+            lowercase?: boolean;
+            uppercase?: boolean;
+            normalize?: 'NFC' | 'NFD' | 'NFKC' | 'NFKD';
+            regex?: Validator<RegExp>;
+            enum?: ReadonlyArray<string> | [ReadonlyArray<string>, string] | { value: ReadonlyArray<string>; errorMessage: string };
+            minLength?: Validator<number>;
+            maxLength?: Validator<number>;
+            clip?: boolean;
+
+            // Number, BigInt and Date
+            numberTransform?(value: number, originalValue: any, properties: any): number;
+            min?: Validator<number> | Validator<bigint> | Validator<DateBound>;
+            max?: Validator<number> | Validator<bigint> | Validator<DateBound>;
+
+            // Number
+            locale?: string;
+            integer?: Validator<boolean>;
+            multipleOf?: Validator<number>;
+            precision?: Validator<number>;
+            round?: 'half-up' | 'bankers' | 'floor';
+            positive?: Validator<boolean>;
+            nonNegative?: Validator<boolean>;
+
+            // Decimal
+            scale?: Validator<number>;
+
+            // Buffer
+            encoding?: 'base64' | 'hex';
+
+            // Boolean
+            booleanTransform?(value: boolean, originalValue: any, properties: any): boolean;
+
+            // Date
+            dateTransform?(value: Date, originalValue: any, properties: any): Date;
+            past?: Validator<boolean>;
+            format?: Validator<StringFormat | DateFormat>;
+            timezone?: string;
+            future?: Validator<boolean>;
+
+            // Array
+            arrayType?: FieldDefinition;
+            items?: ReadonlyArray<FieldDefinition>;
+            additionalItems?: boolean | FieldDefinition;
+            minItems?: number;
+            unique?: boolean;
+            filter?(value: any): boolean;
+
+            // Object
+            objectType?: (new (...args: any[]) => SchemaObjectInstance<any>) | SchemaDefinition;
+            discriminator?: string;
+            mapping?: { [tag: string]: (new (...args: any[]) => SchemaObjectInstance<any>) | SchemaDefinition };
+            values?: FieldDefinition;
+            keys?: RegExp | StringConstructor | Partial<PropertiesDefinition>;
+
+            // Alias
+            index?: string;
+        }
+
+        // Field accepting one of several types.
+        interface UnionDefinition extends Omit<PropertiesDefinition, 'type'> {
+            type?: 'union';
+            oneOf: ReadonlyArray<FieldDefinition>;
+            match?: 'first' | 'strict';
+        }
+
+        type FieldDefinition = TypeDefinition | PropertiesDefinition | UnionDefinition;
+
+        interface SchemaDefinition {
+            [key: string]: FieldDefinition;
+        }
+
+        // Infers the value type of a shorthand type declaration or properties hash.
+        // Definitions are wrapped in tuples to prevent distribution over the FieldDefinition union.
+        type InferType<D> =
+            [D] extends [StringConstructor | 'string'] ? string :
+            [D] extends [NumberConstructor | 'number'] ? number :
+            [D] extends [BooleanConstructor | 'boolean'] ? boolean :
+            [D] extends [DateConstructor | 'date'] ? Date :
+            [D] extends [BigIntLike | 'bigint'] ? bigint :
+            [D] extends ['decimal'] ? string :
+            [D] extends ['buffer'] ? Uint8Array :
+            [D] extends [SetConstructor | 'set'] ? SchemaSet<any> :
+            [D] extends [MapConstructor | 'map'] ? SchemaMap<any> :
+            [D] extends [ArrayConstructor | 'array' | []] ? SchemaArray<any> :
+            [D] extends [ObjectConstructor | 'object'] ? { [key: string]: any } :
+            [D] extends ['any' | 'alias' | null | undefined] ? any :
+            [D] extends [[infer E]] ? SchemaArray<InferType<E>> :
+            [D] extends [new (...args: any[]) => infer I] ? I :
+            [D] extends [{ oneOf: ReadonlyArray<infer B>; nullable: true }] ? InferUnion<B> | null :
+            [D] extends [{ oneOf: ReadonlyArray<infer B> }] ? InferUnion<B> :
+            [D] extends [{ type: infer T; nullable: true }] ? InferPropertiesType<D, T> | null :
+            [D] extends [{ type: infer T }] ? InferPropertiesType<D, T> :
+            [D] extends [SchemaDefinition] ? (keyof D extends never ? { [key: string]: any } : InferFields<D>) :
+            any;
+
+        // Distributes over the types of oneOf.
+        type InferUnion<B> = B extends any ? InferType<B> : never;
+
+        // Elements past the tuple positions.
+        type InferAdditionalItems<D> =
+            D extends { additionalItems: infer A } ? ([A] extends [false] ? never : [A] extends [true] ? any : InferType<A>) : never;
+
+        type InferPropertiesType<D, T> =
+            T extends ArrayConstructor | 'array' ? (
+                D extends { items: ReadonlyArray<infer E> } ? SchemaArray<InferUnion<E> | InferAdditionalItems<D>> :
+                D extends { arrayType: infer E } ? SchemaArray<InferType<E>> :
+                SchemaArray<any>
+            ) :
+            T extends SetConstructor | 'set' ? (D extends { values: infer V } ? SchemaSet<InferType<V>> : SchemaSet<any>) :
+            T extends MapConstructor | 'map' ? (D extends { values: infer V } ? SchemaMap<InferType<V>> : SchemaMap<any>) :
+            T extends ObjectConstructor | 'object' ? (
+                D extends { mapping: infer M } ? InferUnion<M[keyof M]> :
+                D extends { objectType: infer O } ? InferType<O> :
+                D extends { values: infer V } ? { [key: string]: InferType<V> } :
+                { [key: string]: any }
+            ) :
+            InferType<T>;
+
+        // Objects, arrays, Sets and Maps are always initialized, required fields and fields with a default are expected to be set.
+        type IsAlwaysSet<D> =
+            [D] extends [{ required: true | [true, string] }] ? true :
+            [D] extends [{ default: any }] ? true :
+            [D] extends [{ oneOf: any } | { discriminator: string }] ? false :
+            [D] extends [StringConstructor | NumberConstructor | BooleanConstructor | DateConstructor | BigIntLike |
+                'string' | 'number' | 'boolean' | 'date' | 'bigint' | 'decimal' | 'buffer' | 'alias' | 'any' | null | undefined] ? false :
+            [D] extends [{ type: infer T }] ? IsAlwaysSet<T> :
+            true;
+
+        type AlwaysSetKeys<S> = { [K in keyof S]: IsAlwaysSet<S[K]> extends true ? K : never }[keyof S];
+        type ReadOnlyKeys<S> = { [K in keyof S]: S[K] extends { readOnly: true } ? K : never }[keyof S];
+
+        // Aliases have the type of the aliased field.
+        type FieldType<S, K extends keyof S> =
+            S[K] extends { type: 'alias'; index: infer I } ? (I extends keyof S ? InferType<S[I]> : any) :
+            InferType<S[K]>;
+
+        type Flatten<T> = { [K in keyof T]: T[K] };
+
+        type InferFields<S> = Flatten<
+            { readonly [K in Extract<ReadOnlyKeys<S>, AlwaysSetKeys<S>>]: FieldType<S, K> } &
+            { readonly [K in Exclude<ReadOnlyKeys<S>, AlwaysSetKeys<S>>]?: FieldType<S, K> } &
+            { [K in Exclude<AlwaysSetKeys<S>, ReadOnlyKeys<S>>]: FieldType<S, K> } &
+            { [K in Exclude<keyof S, AlwaysSetKeys<S> | ReadOnlyKeys<S>>]?: FieldType<S, K> }
+        >;
+
+        type InferInstance<S, M> = InferFields<S> & SchemaObjectInstance<InferFields<S>> & M;
+
+        interface Methods {
+            [name: string]: (...args: any[]) => any;
+        }
+
+        interface Constructors {
+            [name: string]: (...args: any[]) => void;
+        }
+
+        interface Options<I, M, C> {
+            strict?: boolean;
+            dotNotation?: boolean;
+            setUndefined?: boolean;
+            preserveNull?: boolean;
+            keysIgnoreCase?: boolean;
+            inheritRootThis?: boolean;
+            allowFalsyValues?: boolean;
+            useDecimalNumberGroupSeparator?: boolean;
+            locale?: string;
+            compile?: boolean;
+            timezone?: string;
+            validate?: ValidationRule<I> | Array<ValidationRule<I>> | { [name: string]: ValidationRule<I> };
+            methods?: M & ThisType<I & { super(...args: any[]): any }>;
+            constructors?: C & ThisType<I & { super(...args: any[]): any }>;
+            toObject?(this: I, object: { [key: string]: any }): any;
+            onBeforeValueSet?(this: I, value: any, key: string): boolean | void;
+            onValueSet?(this: I, value: any, key: string): void;
+        }
+
+        interface JSONSchemaOptions extends Options<any, Methods, Constructors> {
+            onUnsupportedKeyword?(keyword: string, path: string, value: any): void;
+        }
+
+        // Arguments of the default constructor, which can be overridden.
+        type ConstructorArgs<I, C> =
+            C extends { default: (...args: infer A) => any } ? A :
+            [SchemaObjectValues<I>?];
+
+        type CustomConstructors<I, C> = {
+            [K in Exclude<keyof C, 'default'>]: C[K] extends (...args: infer A) => any ? (...args: A) => I : never;
         };
+
+        // Result of validating plain values with a factory.
+        interface ValidationResult<T> {
+            value: SchemaObjectValues<T>;
+            errors: Array<{
+                errorMessage: string;
+                errorCode: number;
+                errorType?: string;
+                rule?: string;
+                setValue: any;
+                originalValue: any;
+                fieldSchema: {
+                    name: string;
+                    index: string;
+                }
+            }>;
+        }
+
+        // Factory created by SchemaObject, carrying the schema, methods and constructors it was created with.
+        interface Factory<S, M, C> {
+            new (...args: ConstructorArgs<InferFields<S>, C>): InferInstance<S, M>;
+            extend<S2 extends SchemaDefinition, M2 extends Methods = {}, C2 extends Constructors = {}>(
+                schema: S2,
+                options?: Options<InferInstance<Omit<S, keyof S2> & S2, Omit<M, keyof M2> & M2>, M2, C2>
+            ): FactoryWithConstructors<Omit<S, keyof S2> & S2, Omit<M, keyof M2> & M2, Omit<C, keyof C2> & C2>;
+            toJSONSchema(): { [key: string]: any };
+            validate(values: SchemaObjectValues<InferFields<S>>): ValidationResult<InferFields<S>>;
+        }
+
+        type FactoryWithConstructors<S, M, C> = Factory<S, M, C> & CustomConstructors<InferInstance<S, M>, C>;
+    }
+
+    interface SchemaObject {
+        new <S extends SchemaObject.SchemaDefinition, M extends SchemaObject.Methods = {}, C extends SchemaObject.Constructors = {}>(
+            schema: S,
+            options?: SchemaObject.Options<SchemaObject.InferInstance<S, M>, M, C>
+        ): SchemaObject.FactoryWithConstructors<S, M, C>;
+        registerFormat(name: string, validator: RegExp | ((value: string) => boolean)): void;
+        registerType<V>(name: string, definition: SchemaObject.CustomTypeDefinition<V>): void;
+        generateTypeScript(factories: { [name: string]: any }): string;
+        fromJSONSchema(
+            jsonSchema: { [key: string]: any },
+            options?: SchemaObject.JSONSchemaOptions
+        ): SchemaObject.FactoryWithConstructors<{ [key: string]: 'any' }, {}, {}>;
     }
-    const SO: SchemaObject;
-    export = SO;
+    const SchemaObject: SchemaObject;
+    export = SchemaObject;
 
 }